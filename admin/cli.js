@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+// Admin command line tools
+// Usage: node cli.js <command> [options]
+
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const auth = require('./lib/auth');
+const { ROOT_DIR, STATE_DIR, loadConfig } = require('./lib/config');
+const { createStorage } = require('./lib/storage');
+const { createAlbumIndex } = require('./lib/albums');
+const { getProcessingSettings } = require('./lib/metadata');
+const { createImageProcessor } = require('./lib/images');
+const { createWatermarker } = require('./lib/watermark');
+const { migrateLegacyAlbums } = require('./lib/migrate');
+const { listBusySlugs } = require('./lib/jobs');
+const { reconcile, deleteObjects, repairImages, formatBytes } = require('./lib/reconcile');
+const { runTransaction } = require('./lib/transaction');
+const { createSlug, isPostDate, generateNewPostMarkdown } = require('./lib/posts');
+const { createRedirects } = require('./lib/redirects');
+const { findImageFiles, importFolder } = require('./lib/import');
+const { suggestAlbumDetails } = require('./lib/captures');
+const { readPendingDeletes } = require('./lib/history');
+
+// Paths
+const POSTS_DIR = path.join(ROOT_DIR, '_posts');
+const DATA_DIR = path.join(ROOT_DIR, '_data', 'virtual-photography');
+const ALBUM_ORDER_PATH = path.join(DATA_DIR, '_album-order.json');
+const REDIRECTS_DIR = path.join(ROOT_DIR, 'pages', 'redirects');
+const JOBS_DIR = path.join(STATE_DIR, '.jobs');
+const HISTORY_DIR = path.join(STATE_DIR, '.history');
+const WATERMARKS_DIR = path.join(STATE_DIR, 'watermarks');
+
+// Helper: Prompt for a value without echoing it
+function promptHidden(question) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        rl._writeToOutput = (text) => {
+            if (text.startsWith(question)) rl.output.write(text);
+        };
+        rl.question(question, (answer) => {
+            rl.output.write('\n');
+            rl.close();
+            resolve(answer);
+        });
+    });
+}
+
+// Helper: Load the config and set up storage and the upload pipeline the way
+// the admin server does
+function createContext() {
+    const config = loadConfig();
+    const storage = createStorage(config.storage, { port: config.port || 3001 });
+    const processingDefaults = getProcessingSettings(config.processing);
+    const albums = createAlbumIndex({ postsDir: POSTS_DIR, dataDir: DATA_DIR, orderPath: ALBUM_ORDER_PATH });
+    const imageProcessor = createImageProcessor({
+        storage,
+        derivatives: config.derivatives,
+        watermarker: createWatermarker({ dir: WATERMARKS_DIR }),
+        uploadConcurrency: config.upload_concurrency || 4
+    });
+    return {
+        config,
+        storage,
+        albums,
+        imageProcessor,
+        getProcessing: slug => getProcessingSettings(processingDefaults, albums.get(slug)?.processing)
+    };
+}
+
+// Helper: Find the album an import goes to
+// `value` is an album slug or title; a title without an album gets a new one.
+// Returns { slug, title, album }, with album null for a new album.
+function resolveImportAlbum(albums, value) {
+    const wanted = value.trim();
+    const album = albums.get(wanted) ||
+        albums.list().find(a => a.title.toLowerCase() === wanted.toLowerCase()) ||
+        albums.get(createSlug(wanted));
+    if (album) {
+        return { slug: album.slug, title: album.title, album };
+    }
+    const slug = createSlug(wanted);
+    if (!slug) {
+        throw new Error(`"${value}" can't be turned into an album slug`);
+    }
+    return { slug, title: wanted, album: null };
+}
+
+const commands = {
+    'hash-password': {
+        description: 'Hash a password for auth.password_hash',
+        async run(args) {
+            const password = args[0] || await promptHidden('Password: ');
+            if (!password) {
+                throw new Error('Password must not be empty');
+            }
+            console.log(auth.hashPassword(password));
+        }
+    },
+    'totp-secret': {
+        description: 'Generate a secret for auth.totp_secret',
+        async run() {
+            const secret = auth.generateTotpSecret();
+            console.log(secret);
+            console.log(`otpauth://totp/VP%20Admin?secret=${secret}&issuer=VP%20Admin`);
+        }
+    },
+    'api-token': {
+        description: 'Generate a REST API token and the hash to add to auth.api_tokens',
+        async run() {
+            const token = auth.generateApiToken();
+            console.log(`Token: ${token}`);
+            console.log(`Hash:  ${auth.hashApiToken(token)}`);
+        }
+    },
+    'migrate-legacy': {
+        description: 'Rehost legacy imgur albums in storage and rewrite their JSON',
+        usage: '[--source <dir|url>] [--album <slug>]... [--dry-run] [--report <file>]',
+        async run(args) {
+            const { values } = parseArgs({
+                args,
+                options: {
+                    source: { type: 'string' },
+                    album: { type: 'string', multiple: true },
+                    'dry-run': { type: 'boolean', default: false },
+                    report: { type: 'string' }
+                }
+            });
+            const context = createContext();
+            console.log(`Storage: ${context.storage.description}`);
+
+            const reports = await migrateLegacyAlbums({
+                dataDir: DATA_DIR,
+                slugs: values.album,
+                source: values.source || context.config.migration?.source,
+                dryRun: values['dry-run'],
+                storage: context.storage,
+                imageProcessor: context.imageProcessor,
+                getProcessing: context.getProcessing,
+                log: message => console.log(message)
+            });
+
+            console.log('\nAlbum'.padEnd(41) + 'Images  Legacy  Status');
+            for (const report of reports) {
+                console.log(`${report.slug.padEnd(40)}${String(report.images).padStart(6)}  ${String(report.legacy).padStart(6)}  ${report.status}${report.error ? ` (${report.error})` : ''}`);
+                report.missing.forEach(url => console.log(`    missing ${url}`));
+            }
+            if (reports.length === 0) {
+                console.log('No legacy albums found');
+            }
+            if (values.report) {
+                fs.writeFileSync(values.report, JSON.stringify(reports, null, 2));
+                console.log(`\nReport written to ${values.report}`);
+            }
+            if (reports.some(report => report.status === 'failed')) {
+                process.exitCode = 1;
+            }
+        }
+    },
+    'import': {
+        description: 'Import a folder of images (and its subfolders) into an album, creating it if needed',
+        usage: '<folder> [--album <slug|title>] [--developer <name>] [--description <text>] [--date <YYYY-MM-DD>] [--draft]',
+        async run(args) {
+            const { values, positionals } = parseArgs({
+                args,
+                allowPositionals: true,
+                options: {
+                    album: { type: 'string' },
+                    developer: { type: 'string' },
+                    description: { type: 'string' },
+                    date: { type: 'string' },
+                    draft: { type: 'boolean', default: false }
+                }
+            });
+            if (positionals.length !== 1 || (values.album !== undefined && !values.album.trim())) {
+                throw new Error(`Usage: node cli.js import ${commands.import.usage}`);
+            }
+            const folder = path.resolve(positionals[0]);
+            if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+                throw new Error(`${folder} is not a folder`);
+            }
+            if (values.date && !isPostDate(values.date)) {
+                throw new Error('--date must be YYYY-MM-DD');
+            }
+
+            // Capture tools name files after the game and the capture time;
+            // they suggest the album, its date and the import order
+            const context = createContext();
+            const found = findImageFiles(folder);
+            const suggested = suggestAlbumDetails(found.map(file => path.basename(file)), context.albums.list());
+            const files = suggested.order.map(index => found[index]);
+            if (!values.album && !suggested.title) {
+                throw new Error('The file names don\'t name a game; pass --album');
+            }
+            const { slug, title, album } = resolveImportAlbum(context.albums, values.album || suggested.title);
+            if (listBusySlugs(JOBS_DIR).has(slug)) {
+                throw new Error(`An upload job is still working on ${slug}; finish or cancel it first`);
+            }
+            console.log(`Storage: ${context.storage.description}`);
+            console.log(album
+                ? `Importing into "${title}" (${slug}), which has ${album.images.length} images`
+                : `Creating album "${title}" (${slug})`);
+
+            // A new album's post is written with its first batch of images
+            const date = values.date || suggested.date || new Date().toISOString().split('T')[0];
+            const developer = values.developer ?? (title === suggested.title ? suggested.developer : '');
+            const jsonPath = path.join(DATA_DIR, album ? album.jsonFile : `${slug}.json`);
+            const postPath = path.join(POSTS_DIR, `${date}-${slug}.md`);
+            const redirects = createRedirects({ dir: REDIRECTS_DIR });
+            function stageAlbum(tx, images) {
+                tx.writeFile(jsonPath, JSON.stringify(images, null, 2));
+                if (!album && !fs.existsSync(postPath)) {
+                    tx.writeFile(postPath, generateNewPostMarkdown({
+                        title,
+                        developer,
+                        description: values.description,
+                        date,
+                        slug,
+                        published: values.draft ? false : undefined
+                    }));
+                    redirects.stageRelease(tx, slug);
+                }
+            }
+
+            // Ctrl-C stops after the image being processed, keeping what was
+            // imported; a second one quits at once
+            let stopRequested = false;
+            process.on('SIGINT', () => {
+                if (stopRequested) process.exit(130);
+                stopRequested = true;
+                console.log('\nStopping after the current image (Ctrl-C again to quit now)');
+            });
+
+            const report = await importFolder({
+                folder,
+                files,
+                slug,
+                images: album ? album.images : [],
+                processing: context.getProcessing(slug),
+                storage: context.storage,
+                imageProcessor: context.imageProcessor,
+                stageAlbum,
+                shouldStop: () => stopRequested,
+                log: message => console.log(message)
+            });
+
+            console.log(`\nFound ${report.files} images in ${folder}`);
+            console.log(`Imported ${report.imported} into "${title}" (${slug})`);
+            if (report.skipped.length) {
+                console.log(`Skipped ${report.skipped.length} already in the album or duplicated in the folder`);
+            }
+            if (report.failed.length) {
+                console.log(`Failed ${report.failed.length}:`);
+                report.failed.forEach(entry => console.log(`    ${entry.file}: ${entry.error}`));
+            }
+            if (report.stopped || report.failed.length) {
+                console.log('Run the same command again to import the rest');
+                process.exitCode = 1;
+            }
+        }
+    },
+    'reconcile': {
+        description: 'Compare storage with the albums; optionally clean up orphans and repair JSON',
+        usage: '[--album <slug>]... [--external] [--cleanup] [--cleanup-stray] [--repair] [--report <file>]',
+        async run(args) {
+            const { values } = parseArgs({
+                args,
+                options: {
+                    album: { type: 'string', multiple: true },
+                    external: { type: 'boolean', default: false },
+                    cleanup: { type: 'boolean', default: false },
+                    'cleanup-stray': { type: 'boolean', default: false },
+                    repair: { type: 'boolean', default: false },
+                    report: { type: 'string' }
+                }
+            });
+            const context = createContext();
+            console.log(`Storage: ${context.storage.description}\n`);
+
+            const report = await reconcile({
+                storage: context.storage,
+                albums: context.albums.list(),
+                busySlugs: listBusySlugs(JOBS_DIR),
+                heldKeys: readPendingDeletes(HISTORY_DIR),
+                checkExternal: values.external
+            });
+            const albums = report.albums.filter(album => !values.album || values.album.includes(album.slug));
+
+            console.log('Album'.padEnd(40) + 'Images  Objects      Size  Orphans  Missing  External');
+            for (const album of albums) {
+                console.log(album.slug.padEnd(40) +
+                    String(album.images).padStart(6) +
+                    String(album.objects).padStart(9) +
+                    formatBytes(album.bytes).padStart(10) +
+                    String(album.orphans.length).padStart(9) +
+                    String(album.missing.length).padStart(9) +
+                    String(album.external).padStart(10) +
+                    (album.busy ? '  (upload in progress)' : ''));
+                album.missing.forEach(entry => console.log(`    missing image #${entry.index} ${entry.kind}: ${entry.key}`));
+                album.deadUrls.forEach(entry => console.log(`    unreachable image #${entry.index} ${entry.kind} (${entry.status}): ${entry.url}`));
+                album.orphans.forEach(object => console.log(`    orphan ${object.key} (${formatBytes(object.size)})`));
+                if (album.held) console.log(`    ${album.held} deleted objects kept while the deletion can be undone`);
+            }
+            report.stray.forEach(stray => {
+                console.log(`Folder without an album: ${stray.prefix}/ (${stray.objects} objects, ${formatBytes(stray.bytes)}${stray.held ? `, ${stray.held} kept for undo` : ''})${stray.busy ? ' (upload in progress)' : ''}`);
+            });
+            const { totals } = report;
+            console.log(`\nTotal: ${totals.objects} objects, ${formatBytes(totals.bytes)}; ` +
+                `${totals.orphans} orphans (${formatBytes(totals.orphanBytes)}), ${totals.missing} missing` +
+                (totals.held ? `, ${totals.held} deleted objects kept for undo` : ''));
+
+            if (values.cleanup || values['cleanup-stray']) {
+                const keys = [];
+                if (values.cleanup) {
+                    albums.filter(album => !album.busy).forEach(album => keys.push(...album.orphans.map(object => object.key)));
+                }
+                if (values['cleanup-stray']) {
+                    report.stray.filter(stray => !stray.busy).forEach(stray => keys.push(...stray.keys));
+                }
+                const { deleted, failed } = await deleteObjects(context.storage, keys);
+                console.log(`\nDeleted ${deleted.length} objects${failed.length ? `, ${failed.length} failed` : ''}`);
+                if (failed.length) process.exitCode = 1;
+            }
+
+            if (values.repair) {
+                for (const albumReport of albums.filter(album => album.missing.length > 0 && !album.busy)) {
+                    const album = context.albums.get(albumReport.slug);
+                    const { images, repaired, unrecoverable } = repairImages(context.storage, album.slug, album.images, albumReport);
+                    if (repaired.length > 0) {
+                        await runTransaction(context.storage, tx => {
+                            tx.writeFile(path.join(DATA_DIR, album.jsonFile), JSON.stringify(images, null, 2));
+                        });
+                    }
+                    console.log(`${album.slug}: repaired ${repaired.length} images` +
+                        (unrecoverable.length ? `, no stored files left for #${unrecoverable.join(', #')}` : ''));
+                }
+            }
+
+            if (values.report) {
+                fs.writeFileSync(values.report, JSON.stringify({ ...report, albums }, null, 2));
+                console.log(`\nReport written to ${values.report}`);
+            }
+        }
+    }
+};
+
+function printUsage() {
+    console.log('Usage: node cli.js <command> [options]\n');
+    console.log('Commands:');
+    for (const [name, command] of Object.entries(commands)) {
+        console.log(`  ${name.padEnd(16)} ${command.description}`);
+        if (command.usage) {
+            console.log(`  ${''.padEnd(16)} ${name} ${command.usage}`);
+        }
+    }
+}
+
+async function main() {
+    const [name, ...args] = process.argv.slice(2);
+    const command = commands[name];
+    if (!command) {
+        printUsage();
+        process.exit(name ? 1 : 0);
+    }
+    await command.run(args);
+}
+
+main().catch((err) => {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,301 @@
+const path = require('path');
+const fs = require('fs');
+const { parseFrontMatter } = require('./frontmatter');
+
+// Post files are named "<date>-<slug>.md"
+const POST_FILE_PATTERN = /^\d{4}-\d{2}-\d{2}-(.+)\.md$/;
+
+// File events are batched for this long, so a burst of changes (a git pull,
+// an atomic write's temp file and rename) triggers one reload per album
+const WATCH_DEBOUNCE_MS = 100;
+
+// Helper: Slug of a post file name, or null for other files
+function getPostSlug(fileName) {
+    const match = fileName.match(POST_FILE_PATTERN);
+    return match ? match[1] : null;
+}
+
+// Helper: Slug of an album data file name, or null for other files
+function getDataSlug(fileName) {
+    if (!fileName.endsWith('.json') || fileName.startsWith('_') || fileName.startsWith('.')) {
+        return null;
+    }
+    return fileName.slice(0, -'.json'.length);
+}
+
+// Helper: Normalize image data to handle both old and new formats
+function normalizeImages(rawImages) {
+    return rawImages.map(({ 'imageFull-link': fullLink, 'thumbnail-link': thumbLink, 'aspect-ratio': legacyRatio, ...img }) => ({
+        ...img,
+        url: img.url || fullLink || '',
+        thumb: img.thumb || thumbLink || '',
+        aspectRatio: parseFloat(img.aspectRatio || legacyRatio || 1.5),
+        width: img.width || 0,
+        height: img.height || 0
+    }));
+}
+
+// Helper: Parse a post date the way the site build does
+// Jekyll reads a date without a UTC offset in the build's time zone. The site
+// sets no `timezone` and is built on GitHub Actions, which runs in UTC.
+// Returns null for dates that can't be parsed.
+function parsePostDate(value) {
+    const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?\s*(Z|[+-]\d{2}:?\d{2})?$/);
+    if (!match) return null;
+    const [, year, month, day, hour = 0, minute = 0, second = 0, zone = 'Z'] = match;
+    const time = Date.UTC(year, month - 1, day, hour, minute, second);
+    if (zone === 'Z') return new Date(time);
+    const offset = (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(-2))) * (zone[0] === '-' ? -1 : 1);
+    return new Date(time - offset * 60000);
+}
+
+// Whether Jekyll publishes an album
+// Drafts have `published: false` in their front matter. Albums dated in the
+// future are scheduled: Jekyll skips posts dated after the build, so they go
+// live with the first site build on or after their date.
+// Returns 'draft', 'scheduled' or 'published'.
+function getPublishState(album, now = new Date()) {
+    if (!album.published) return 'draft';
+    const date = parsePostDate(album.date);
+    return date && date > now ? 'scheduled' : 'published';
+}
+
+// In-memory album index
+// Albums are read once at startup and kept up to date by refresh(slug), which
+// the mutation routes call after writing, and by watching the posts and data
+// directories for changes made outside the admin (hand edits, git pulls).
+function createAlbumIndex({ postsDir, dataDir, orderPath }) {
+    const albums = new Map();
+    const postFiles = new Map();
+    let order = [];
+    let sorted = null;
+    let watchers = [];
+
+    // Helper: Read one album from its post and data file
+    function readAlbum(slug) {
+        const jsonFile = `${slug}.json`;
+        const jsonPath = path.join(dataDir, jsonFile);
+        const postFile = postFiles.get(slug);
+        if (!postFile || !fs.existsSync(jsonPath)) {
+            return null;
+        }
+
+        let frontMatter;
+        try {
+            frontMatter = parseFrontMatter(fs.readFileSync(path.join(postsDir, postFile), 'utf8'));
+        } catch (e) {
+            console.error(`Error reading ${postFile}:`, e.message);
+            return null;
+        }
+
+        // Read images
+        let images = [];
+        try {
+            images = normalizeImages(JSON.parse(fs.readFileSync(jsonPath, 'utf8')));
+        } catch (e) {
+            console.error(`Error reading ${jsonFile}:`, e.message);
+        }
+
+        // Parse tags
+        let tags = [];
+        if (frontMatter.tags) {
+            if (Array.isArray(frontMatter.tags)) {
+                tags = frontMatter.tags.map(String);
+            } else if (typeof frontMatter.tags === 'string') {
+                tags = frontMatter.tags.split(',').map(t => t.trim());
+            }
+        }
+
+        return {
+            slug: slug,
+            title: String(frontMatter.title || slug),
+            description: String(frontMatter.description || 'Virtual Photography'),
+            developer: String(frontMatter.developer || ''),
+            date: String(frontMatter.date || ''),
+            tags: tags,
+            cardImage: parseInt(frontMatter['card-image']) || 0,
+            cardOffset: parseInt(frontMatter['card-offset']) || 50,
+            cardOffsetX: parseInt(frontMatter['card-offset-x']) || 50,
+            cardZoom: parseInt(frontMatter['card-zoom']) || 100,
+            bannerImage: parseInt(frontMatter['banner-image']) || 0,
+            bannerOffset: parseInt(frontMatter['banner-offset']) || 50,
+            bannerOffsetX: parseInt(frontMatter['banner-offset-x']) || 50,
+            bannerZoom: parseInt(frontMatter['banner-zoom']) || 100,
+            published: frontMatter.published !== false,
+            processing: frontMatter.processing && typeof frontMatter.processing === 'object' ? frontMatter.processing : {},
+            images: images,
+            imageCount: images.length,
+            postFile: postFile,
+            jsonFile: jsonFile
+        };
+    }
+
+    // Helper: Read the album order file
+    function readOrder() {
+        try {
+            if (fs.existsSync(orderPath)) {
+                const saved = JSON.parse(fs.readFileSync(orderPath, 'utf8'));
+                return saved.filter(slug => slug !== null);
+            }
+        } catch (e) {
+            console.error('Error reading album order:', e.message);
+        }
+        return [];
+    }
+
+    // Helper: Find an album's post file
+    // If there are several (e.g. while a date change is being written), the
+    // newest date wins.
+    function findPostFile(slug) {
+        const matches = fs.readdirSync(postsDir).filter(f => getPostSlug(f) === slug).sort();
+        return matches.length > 0 ? matches[matches.length - 1] : null;
+    }
+
+    function setAlbum(slug, album) {
+        if (album) {
+            albums.set(slug, album);
+        } else {
+            albums.delete(slug);
+        }
+        sorted = null;
+    }
+
+    // Read every album from disk
+    function load() {
+        albums.clear();
+        postFiles.clear();
+        for (const fileName of fs.readdirSync(postsDir).sort()) {
+            const slug = getPostSlug(fileName);
+            if (slug) postFiles.set(slug, fileName);
+        }
+        for (const fileName of fs.readdirSync(dataDir)) {
+            const slug = getDataSlug(fileName);
+            if (slug) setAlbum(slug, readAlbum(slug));
+        }
+        order = readOrder();
+        sorted = null;
+    }
+
+    // Re-read one album after its files changed
+    function refresh(slug) {
+        const postFile = findPostFile(slug);
+        if (postFile) {
+            postFiles.set(slug, postFile);
+        } else {
+            postFiles.delete(slug);
+        }
+        setAlbum(slug, readAlbum(slug));
+    }
+
+    // Re-read the album order after it changed
+    function refreshOrder() {
+        order = readOrder();
+        sorted = null;
+    }
+
+    function get(slug) {
+        return albums.get(slug) || null;
+    }
+
+    // All albums, sorted by custom order if available, otherwise by date
+    function list() {
+        if (!sorted) {
+            sorted = [...albums.values()];
+            if (order.length > 0) {
+                sorted.sort((a, b) => {
+                    const aIndex = order.indexOf(a.slug);
+                    const bIndex = order.indexOf(b.slug);
+                    // If both are in order array, sort by order
+                    if (aIndex >= 0 && bIndex >= 0) return aIndex - bIndex;
+                    // If only one is in order array, put it first
+                    if (aIndex >= 0) return -1;
+                    if (bIndex >= 0) return 1;
+                    // Otherwise sort by date descending
+                    return new Date(b.date) - new Date(a.date);
+                });
+            } else {
+                // Default: sort by date descending
+                sorted.sort((a, b) => new Date(b.date) - new Date(a.date));
+            }
+        }
+        return [...sorted];
+    }
+
+    function getOrder() {
+        return [...order];
+    }
+
+    // Watch the posts and data directories for outside changes
+    function watch() {
+        const pendingSlugs = new Set();
+        let pendingOrder = false;
+        let pendingReload = false;
+        let timer = null;
+
+        function flush() {
+            timer = null;
+            try {
+                if (pendingReload) {
+                    load();
+                } else {
+                    pendingSlugs.forEach(refresh);
+                    if (pendingOrder) refreshOrder();
+                }
+            } catch (e) {
+                console.error('Error updating album index:', e.message);
+            }
+            pendingSlugs.clear();
+            pendingOrder = false;
+            pendingReload = false;
+        }
+
+        function schedule() {
+            if (!timer) timer = setTimeout(flush, WATCH_DEBOUNCE_MS);
+        }
+
+        function onChange(getSlug) {
+            return (eventType, fileName) => {
+                if (!fileName) {
+                    // Some platforms don't report the file name
+                    pendingReload = true;
+                } else if (path.join(dataDir, fileName) === orderPath) {
+                    pendingOrder = true;
+                } else {
+                    const slug = getSlug(fileName);
+                    if (!slug) return;
+                    pendingSlugs.add(slug);
+                }
+                schedule();
+            };
+        }
+
+        watchers = [
+            fs.watch(postsDir, onChange(getPostSlug)),
+            fs.watch(dataDir, onChange(getDataSlug))
+        ];
+        watchers.forEach(watcher => watcher.on('error', e => console.error('Error watching albums:', e.message)));
+    }
+
+    function close() {
+        watchers.forEach(watcher => watcher.close());
+        watchers = [];
+    }
+
+    load();
+
+    return {
+        get,
+        list,
+        getOrder,
+        refresh,
+        refreshOrder,
+        reload: load,
+        watch,
+        close
+    };
+}
+
+module.exports = {
+    getPublishState,
+    createAlbumIndex
+};
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getPublishState } = require('./albums');
+
+const NOW = new Date('2024-06-15T12:00:00Z');
+
+function stateOn(date, published = true) {
+    return getPublishState({ published, date }, NOW);
+}
+
+test('drafts stay drafts whatever their date', () => {
+    assert.equal(stateOn('2020-01-01', false), 'draft');
+    assert.equal(stateOn('2030-01-01', false), 'draft');
+});
+
+test('albums dated after the build are scheduled', () => {
+    assert.equal(stateOn('2024-06-14'), 'published');
+    assert.equal(stateOn('2024-06-15'), 'published');
+    assert.equal(stateOn('2024-06-16'), 'scheduled');
+    assert.equal(stateOn('2025-01-01'), 'scheduled');
+});
+
+test('dates are compared as times, not strings', () => {
+    // Times without an offset are in the build's time zone, UTC
+    assert.equal(stateOn('2024-06-15 11:59:59'), 'published');
+    assert.equal(stateOn('2024-06-15 12:30'), 'scheduled');
+    // Offsets move the time: 13:00 at +02:00 is 11:00 UTC
+    assert.equal(stateOn('2024-06-15 13:00:00 +0200'), 'published');
+    assert.equal(stateOn('2024-06-15T11:00:00-02:00'), 'scheduled');
+    // Dates that can't be parsed don't make an album scheduled
+    assert.equal(stateOn('someday'), 'published');
+    assert.equal(stateOn(''), 'published');
+});
@@ -0,0 +1,303 @@
+const express = require('express');
+const auth = require('./auth');
+const { getPublishState } = require('./albums');
+const { getPermalink } = require('./redirects');
+const { isPostDate } = require('./posts');
+const { OPENAPI_DOCUMENT } = require('./openapi');
+
+// REST API (/api/v1)
+// A JSON interface to the same album operations as the admin pages, for
+// scripts and other tools. Requests authenticate with a bearer token from
+// auth.api_tokens, or with the admin session and its CSRF token like the
+// pages do. Every error has the body { error: { code, message } }.
+// The OpenAPI document is served at /api/v1/openapi.json.
+
+// Error codes by HTTP status
+const ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    500: 'internal_error'
+};
+
+// Images accepted per upload request, as on the admin pages
+const MAX_UPLOAD_FILES = 100;
+
+// Album keys a PATCH can change, with their JSON types
+const ALBUM_FIELDS = {
+    title: 'string',
+    description: 'string',
+    developer: 'string',
+    date: 'string',
+    tags: 'array',
+    published: 'boolean',
+    processing: 'object',
+    cardImage: 'number',
+    cardOffset: 'number',
+    cardOffsetX: 'number',
+    cardZoom: 'number',
+    bannerImage: 'number',
+    bannerOffset: 'number',
+    bannerOffsetX: 'number',
+    bannerZoom: 'number'
+};
+
+// Album keys accepted when creating one
+const CREATE_FIELDS = ['title', 'description', 'developer', 'date', 'processing', 'draft'];
+
+// An error with the HTTP status it should be answered with
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// Helper: Album as listed by the API
+function toAlbumSummary(album) {
+    return {
+        slug: album.slug,
+        title: album.title,
+        description: album.description,
+        developer: album.developer,
+        date: album.date,
+        tags: album.tags,
+        state: getPublishState(album),
+        imageCount: album.imageCount,
+        url: getPermalink(album.slug)
+    };
+}
+
+// Helper: Album with its covers, processing settings and images
+function toAlbumDetail(album) {
+    return {
+        ...toAlbumSummary(album),
+        cardImage: album.cardImage,
+        cardOffset: album.cardOffset,
+        cardOffsetX: album.cardOffsetX,
+        cardZoom: album.cardZoom,
+        bannerImage: album.bannerImage,
+        bannerOffset: album.bannerOffset,
+        bannerOffsetX: album.bannerOffsetX,
+        bannerZoom: album.bannerZoom,
+        processing: album.processing,
+        images: album.images.map((image, index) => ({ index, ...image }))
+    };
+}
+
+// Helper: Check that a date field is YYYY-MM-DD
+// The date names the album's post file, so it is checked before anything
+// (an upload job, a renamed post) depends on it.
+function checkDate(key, value) {
+    if (key === 'date' && value !== '' && !isPostDate(value)) {
+        throw new HttpError(400, '"date" must be a date (YYYY-MM-DD)');
+    }
+}
+
+// Helper: Check a JSON body's album fields
+// Unknown keys and values of the wrong type are rejected, so a typo doesn't
+// silently leave a field unchanged.
+function readAlbumFields(body) {
+    const input = {};
+    for (const [key, value] of Object.entries(body || {})) {
+        const type = ALBUM_FIELDS[key];
+        if (!type) {
+            throw new HttpError(400, `Unknown field "${key}"`);
+        }
+        const valid = type === 'array'
+            ? Array.isArray(value) && value.every(item => typeof item === 'string')
+            : type === 'object'
+                ? value !== null && typeof value === 'object' && !Array.isArray(value)
+                : typeof value === type && (type !== 'number' || Number.isInteger(value));
+        if (!valid) {
+            throw new HttpError(400, `"${key}" must be ${type === 'array' ? 'an array of strings' : type === 'number' ? 'an integer' : `a ${type}`}`);
+        }
+        checkDate(key, value);
+        input[key] = value;
+    }
+    return input;
+}
+
+// Helper: Run a route handler, passing thrown and rejected errors on
+function handle(fn) {
+    return (req, res, next) => {
+        Promise.resolve().then(() => fn(req, res)).catch(next);
+    };
+}
+
+// Middleware: Answer API errors with { error: { code, message } }
+// Mounted after the router, so it also gets body parsing errors from the
+// app's JSON parser.
+function handleApiError(err, req, res, next) {
+    const status = ERROR_CODES[err.status] ? err.status : 500;
+    if (status === 500) {
+        console.error(`API error (${req.method} ${req.originalUrl}):`, err);
+    }
+    res.status(status).json({ error: { code: ERROR_CODES[status], message: err.message || 'Internal error' } });
+}
+
+// Create the API router
+// `operations` are the admin's album operations (see server.js); they throw
+// HttpErrors for invalid input. `upload` is the multer instance for images,
+// `tokenHashes` the configured API token hashes and `requireSession` whether
+// requests without a token need a logged-in session.
+function createApiRouter({ operations, upload, tokenHashes = [], requireSession }) {
+    const {
+        getAlbums, getAlbum, getAlbumOrder, saveAlbumOrder, getJob,
+        createAlbum, updateAlbum, deleteAlbum, addImages, deleteImages
+    } = operations;
+    const router = express.Router();
+
+    // Helper: Album named by the :slug parameter
+    function findAlbum(req) {
+        const album = getAlbum(req.params.slug);
+        if (!album) {
+            throw new HttpError(404, `Album "${req.params.slug}" not found`);
+        }
+        return album;
+    }
+
+    // Middleware: Accept image uploads, turning multer's errors into API errors
+    function acceptImages(req, res, next) {
+        upload.array('images', MAX_UPLOAD_FILES)(req, res, (err) => {
+            if (!err) return next();
+            next(new HttpError(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400, err.message));
+        });
+    }
+
+    // The API description is public, like the API's documentation would be
+    router.get('/openapi.json', (req, res) => {
+        res.json(OPENAPI_DOCUMENT);
+    });
+
+    // Authentication: a bearer token, or the admin session
+    router.use((req, res, next) => {
+        const header = req.get('Authorization');
+        if (header) {
+            const match = header.match(/^Bearer\s+(\S+)$/i);
+            if (!match || !auth.verifyApiToken(match[1], tokenHashes)) {
+                return next(new HttpError(401, 'Invalid API token'));
+            }
+            return next();
+        }
+        if (requireSession && !req.session.authenticated) {
+            return next(new HttpError(401, 'Authentication required'));
+        }
+        if (!auth.hasValidCsrfToken(req)) {
+            return next(new HttpError(403, 'Invalid CSRF token'));
+        }
+        next();
+    });
+
+    // List albums, in their display order
+    router.get('/albums', (req, res) => {
+        res.json({ albums: getAlbums().map(toAlbumSummary) });
+    });
+
+    // Create an album
+    // Multipart requests can carry images (field "images") along with the
+    // album details; `processing` is then a JSON string. The images are
+    // processed by a background job, followed at /jobs/:id.
+    router.post('/albums', acceptImages, handle((req, res) => {
+        const input = {};
+        for (const [key, value] of Object.entries(req.body || {})) {
+            if (!CREATE_FIELDS.includes(key)) {
+                throw new HttpError(400, `Unknown field "${key}"`);
+            }
+            checkDate(key, value);
+            input[key] = value;
+        }
+        const job = createAlbum(input, req.files);
+        res.status(202)
+            .location(`${req.baseUrl}/albums/${job.slug}`)
+            .json({ slug: job.slug, job });
+    }));
+
+    // Album order
+    // Registered before /albums/:slug so "order" isn't taken for a slug.
+    router.get('/albums/order', (req, res) => {
+        res.json({ order: getAlbumOrder() });
+    });
+
+    router.put('/albums/order', handle(async (req, res) => {
+        const { order } = req.body || {};
+        if (!Array.isArray(order) || !order.every(slug => typeof slug === 'string')) {
+            throw new HttpError(400, '"order" must be an array of album slugs');
+        }
+        const unknown = order.filter(slug => !getAlbum(slug));
+        if (unknown.length > 0) {
+            throw new HttpError(400, `Unknown albums: ${unknown.join(', ')}`);
+        }
+        const revision = await saveAlbumOrder([...new Set(order)]);
+        res.json({ order: getAlbumOrder(), revision });
+    }));
+
+    // Get an album
+    router.get('/albums/:slug', handle((req, res) => {
+        res.json({ album: toAlbumDetail(findAlbum(req)) });
+    }));
+
+    // Update an album; keys left out keep their values
+    router.patch('/albums/:slug', handle(async (req, res) => {
+        const album = findAlbum(req);
+        const revision = await updateAlbum(album, readAlbumFields(req.body));
+        res.json({ album: toAlbumDetail(getAlbum(album.slug)), revision });
+    }));
+
+    // Delete an album and its images
+    router.delete('/albums/:slug', handle(async (req, res) => {
+        const album = findAlbum(req);
+        const { failedDeletes, revision } = await deleteAlbum(album);
+        res.json({ slug: album.slug, failedDeletes, revision });
+    }));
+
+    // Add images to an album (multipart, field "images")
+    router.post('/albums/:slug/images', acceptImages, handle((req, res) => {
+        const album = findAlbum(req);
+        if (!req.files || req.files.length === 0) {
+            throw new HttpError(400, 'No images uploaded');
+        }
+        res.status(202).json({ job: addImages(album, req.files) });
+    }));
+
+    // Delete images from an album
+    // Body: { indexes: [...] }, or ?indexes=1,2 for clients that can't send
+    // a body with DELETE.
+    router.delete('/albums/:slug/images', handle(async (req, res) => {
+        const album = findAlbum(req);
+        let indexes = req.body && req.body.indexes;
+        if (indexes === undefined && typeof req.query.indexes === 'string') {
+            indexes = req.query.indexes.split(',').map(index => Number(index.trim()));
+        }
+        if (!Array.isArray(indexes)) {
+            throw new HttpError(400, '"indexes" must be an array of image indexes');
+        }
+        const { failedDeletes, revision } = await deleteImages(album, indexes);
+        res.json({ album: toAlbumDetail(getAlbum(album.slug)), failedDeletes, revision });
+    }));
+
+    // Get a background job's progress
+    router.get('/jobs/:id', handle((req, res) => {
+        const job = getJob(req.params.id);
+        if (!job) {
+            throw new HttpError(404, `Job "${req.params.id}" not found`);
+        }
+        res.json({ job });
+    }));
+
+    router.use((req, res, next) => {
+        next(new HttpError(404, `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`));
+    });
+
+    return router;
+}
+
+module.exports = {
+    HttpError,
+    createApiRouter,
+    handleApiError
+};
@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const multer = require('multer');
+const auth = require('./auth');
+const { HttpError, createApiRouter, handleApiError } = require('./api');
+
+const TOKEN = 'test-token';
+
+// Helper: An album as the album index returns it
+function album(slug, overrides = {}) {
+    return {
+        slug,
+        title: slug,
+        description: '',
+        developer: '',
+        date: '2024-01-01',
+        tags: [],
+        published: true,
+        imageCount: 1,
+        processing: {},
+        images: [{ url: `https://cdn.example.com/${slug}/a.jpg` }],
+        ...overrides
+    };
+}
+
+// Helper: Start the API on a free port with fake album operations
+// `session` is the session every request gets; calls records the operations
+// the API ran.
+async function setup(t, { session = {}, operations = {} } = {}) {
+    const albums = new Map([['one', album('one')], ['two', album('two', { published: false })]]);
+    const calls = [];
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.session = session;
+        next();
+    });
+    app.use('/api/v1', createApiRouter({
+        operations: {
+            getAlbums: () => [...albums.values()],
+            getAlbum: slug => albums.get(slug),
+            getAlbumOrder: () => [...albums.keys()],
+            saveAlbumOrder: async order => calls.push(['saveAlbumOrder', order]),
+            getJob: id => (id === 'job1' ? { id, status: 'running' } : null),
+            createAlbum: (input, files) => {
+                calls.push(['createAlbum', input, (files || []).length]);
+                return { id: 'job1', slug: 'new' };
+            },
+            updateAlbum: async (target, input) => {
+                calls.push(['updateAlbum', target.slug, input]);
+                return 'rev1';
+            },
+            deleteAlbum: async () => ({ failedDeletes: [], revision: 'rev2' }),
+            addImages: (target, files) => ({ id: 'job2', slug: target.slug, total: files.length }),
+            deleteImages: async (target, indexes) => {
+                calls.push(['deleteImages', target.slug, indexes]);
+                return { failedDeletes: [], revision: 'rev3' };
+            },
+            ...operations
+        },
+        upload: multer({ storage: multer.memoryStorage() }),
+        tokenHashes: [auth.hashApiToken(TOKEN)],
+        requireSession: true
+    }), handleApiError);
+
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    const base = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+    // Helper: Call the API, with the bearer token unless headers are given
+    async function request(method, path, { body, headers = { Authorization: `Bearer ${TOKEN}` } } = {}) {
+        const init = { method, headers: { ...headers } };
+        if (body instanceof FormData) {
+            init.body = body;
+        } else if (body !== undefined) {
+            init.body = typeof body === 'string' ? body : JSON.stringify(body);
+            init.headers['Content-Type'] = 'application/json';
+        }
+        const response = await fetch(`${base}${path}`, init);
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    return { request, calls };
+}
+
+test('the OpenAPI document is public', async (t) => {
+    const { request } = await setup(t);
+    const { status, body } = await request('GET', '/openapi.json', { headers: {} });
+    assert.equal(status, 200);
+    assert.match(body.openapi, /^3\./);
+});
+
+test('requests need a valid token or a logged-in session', async (t) => {
+    const { request } = await setup(t);
+    assert.deepEqual(await request('GET', '/albums', { headers: {} }).then(r => [r.status, r.body]),
+        [401, { error: { code: 'unauthorized', message: 'Authentication required' } }]);
+    assert.deepEqual(await request('GET', '/albums', { headers: { Authorization: 'Bearer wrong' } }).then(r => [r.status, r.body]),
+        [401, { error: { code: 'unauthorized', message: 'Invalid API token' } }]);
+    assert.equal((await request('GET', '/albums', { headers: { Authorization: 'Basic abc' } })).status, 401);
+
+    const { status, body } = await request('GET', '/albums');
+    assert.equal(status, 200);
+    assert.deepEqual(body.albums.map(a => [a.slug, a.state, a.url]), [
+        ['one', 'published', '/virtual-photography/one'],
+        ['two', 'draft', '/virtual-photography/two']
+    ]);
+});
+
+test('session requests need the CSRF token to change anything', async (t) => {
+    const session = { authenticated: true, csrfToken: 'a'.repeat(64) };
+    const { request } = await setup(t, { session });
+
+    assert.equal((await request('GET', '/albums/one', { headers: {} })).status, 200);
+    const refused = await request('PATCH', '/albums/one', { headers: {}, body: { title: 'New' } });
+    assert.deepEqual([refused.status, refused.body.error.code], [403, 'forbidden']);
+    const accepted = await request('PATCH', '/albums/one', { headers: { 'X-CSRF-Token': session.csrfToken }, body: { title: 'New' } });
+    assert.equal(accepted.status, 200);
+});
+
+test('album fields are checked before updating', async (t) => {
+    const { request, calls } = await setup(t);
+
+    const unknown = await request('PATCH', '/albums/one', { body: { titel: 'New' } });
+    assert.deepEqual(unknown.body, { error: { code: 'bad_request', message: 'Unknown field "titel"' } });
+    const wrongType = await request('PATCH', '/albums/one', { body: { cardImage: 1.5 } });
+    assert.deepEqual([wrongType.status, wrongType.body.error.message], [400, '"cardImage" must be an integer']);
+    const malformed = await request('PATCH', '/albums/one', { body: '{"title":' });
+    assert.deepEqual([malformed.status, malformed.body.error.code], [400, 'bad_request']);
+    assert.deepEqual(calls, []);
+
+    const { status, body } = await request('PATCH', '/albums/one', { body: { title: 'New', tags: ['RPG'] } });
+    assert.equal(status, 200);
+    assert.equal(body.revision, 'rev1');
+    assert.deepEqual(calls, [['updateAlbum', 'one', { title: 'New', tags: ['RPG'] }]]);
+});
+
+test('operation errors keep their status; others are internal errors', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { request } = await setup(t, {
+        operations: {
+            deleteAlbum: async () => {
+                throw new HttpError(409, 'An upload job on one is still running');
+            },
+            updateAlbum: async () => {
+                throw new Error('Disk full');
+            }
+        }
+    });
+
+    assert.deepEqual(await request('DELETE', '/albums/one').then(r => [r.status, r.body]),
+        [409, { error: { code: 'conflict', message: 'An upload job on one is still running' } }]);
+    assert.deepEqual(await request('PATCH', '/albums/one', { body: { title: 'New' } }).then(r => [r.status, r.body]),
+        [500, { error: { code: 'internal_error', message: 'Disk full' } }]);
+    assert.deepEqual(await request('GET', '/albums/missing').then(r => [r.status, r.body.error.code]), [404, 'not_found']);
+    assert.equal((await request('GET', '/jobs/missing')).status, 404);
+    assert.deepEqual(await request('GET', '/nothing').then(r => [r.status, r.body.error.message]),
+        [404, 'No such endpoint: GET /api/v1/nothing']);
+});
+
+test('images are uploaded as multipart and deleted by index', async (t) => {
+    const { request, calls } = await setup(t);
+
+    const form = new FormData();
+    form.append('title', 'New');
+    form.append('images', new Blob([Buffer.from('jpeg')], { type: 'image/jpeg' }), 'a.jpg');
+    const created = await request('POST', '/albums', { body: form });
+    assert.equal(created.status, 202);
+    assert.equal(created.headers.get('location'), '/api/v1/albums/new');
+    assert.deepEqual(calls.shift(), ['createAlbum', { title: 'New' }, 1]);
+
+    const empty = await request('POST', '/albums/one/images', { body: new FormData() });
+    assert.deepEqual([empty.status, empty.body.error.message], [400, 'No images uploaded']);
+
+    const deleted = await request('DELETE', '/albums/one/images?indexes=0, 2');
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(calls.shift(), ['deleteImages', 'one', [0, 2]]);
+    const invalid = await request('DELETE', '/albums/one/images', { body: { indexes: 'all' } });
+    assert.equal(invalid.status, 400);
+});
+
+test('malformed dates are rejected before an album is created or renamed', async (t) => {
+    const { request, calls } = await setup(t);
+
+    for (const date of ['2024/05/01', '../..', '2024-05-01T10:00:00Z']) {
+        const form = new FormData();
+        form.append('title', 'Bad date');
+        form.append('date', date);
+        form.append('images', new Blob([Buffer.from('jpeg')], { type: 'image/jpeg' }), 'a.jpg');
+        const created = await request('POST', '/albums', { body: form });
+        assert.deepEqual(created.body, { error: { code: 'bad_request', message: '"date" must be a date (YYYY-MM-DD)' } });
+
+        const updated = await request('PATCH', '/albums/one', { body: { date } });
+        assert.equal(updated.status, 400);
+    }
+    assert.deepEqual(calls, []);
+
+    const created = await request('POST', '/albums', { body: { title: 'Dated', date: '2024-05-01' } });
+    assert.equal(created.status, 202);
+    assert.deepEqual(calls, [['createAlbum', { title: 'Dated', date: '2024-05-01' }, 0]]);
+});
+
+test('the album order only accepts known albums', async (t) => {
+    const { request, calls } = await setup(t);
+    const unknown = await request('PUT', '/albums/order', { body: { order: ['one', 'three'] } });
+    assert.deepEqual([unknown.status, unknown.body.error.message], [400, 'Unknown albums: three']);
+
+    const saved = await request('PUT', '/albums/order', { body: { order: ['two', 'one', 'two'] } });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(calls, [['saveAlbumOrder', ['two', 'one']]]);
+});
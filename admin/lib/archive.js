@@ -0,0 +1,137 @@
+const path = require('path');
+const { Readable } = require('stream');
+const yazl = require('yazl');
+const yauzl = require('yauzl');
+const { getOwnKey } = require('./images');
+
+// Album archives
+// A ZIP with everything needed to recreate an album on another site or
+// storage backend:
+//   manifest.json  format and version, the album's slug, title and date, and
+//                  which image each original belongs to
+//   post.md        the album's post
+//   album.json     the image entries, with the exporting site's URLs
+//   originals/     the stored originals; images hosted elsewhere (legacy
+//                  imgur links) keep their URLs and have no file here
+// Derivatives aren't included: the importing site renders its own.
+const ARCHIVE_FORMAT = 'vp-album';
+const ARCHIVE_VERSION = 1;
+
+// Write an album archive
+// `images` are the entries as stored in the album JSON. Returns a readable
+// stream of the ZIP; originals are downloaded one at a time as it is read,
+// and a failed download destroys the stream with the error.
+function createAlbumArchive({ storage, slug, title, date, post, images }) {
+    const originals = [];
+    const paths = new Set();
+    images.forEach((image, index) => {
+        const key = getOwnKey(storage, image.url, slug);
+        if (!key) return;
+        let archivePath = `originals/${path.posix.basename(key)}`;
+        if (paths.has(archivePath)) archivePath = `originals/${index}-${path.posix.basename(key)}`;
+        paths.add(archivePath);
+        originals.push({ index, key, path: archivePath });
+    });
+
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        slug,
+        title,
+        date,
+        images: images.length,
+        originals: originals.map(original => ({ index: original.index, path: original.path }))
+    };
+
+    const zip = new yazl.ZipFile();
+    zip.on('error', err => zip.outputStream.destroy(err));
+    zip.addBuffer(Buffer.from(JSON.stringify(manifest, null, 2)), 'manifest.json');
+    zip.addBuffer(Buffer.from(post), 'post.md');
+    zip.addBuffer(Buffer.from(JSON.stringify(images, null, 2)), 'album.json');
+    for (const original of originals) {
+        // Images are compressed already
+        zip.addReadStreamLazy(original.path, { compress: false }, (callback) => {
+            storage.get(original.key).then(buffer => callback(null, Readable.from([buffer])), callback);
+        });
+    }
+    zip.end();
+    return zip.outputStream;
+}
+
+// Open an album archive
+// Returns { manifest, post, images, readOriginal(path), close() }, where
+// `images` are the archived album entries and readOriginal() reads one of
+// the originals listed in the manifest. Throws if the file isn't an album
+// archive this version can read.
+async function openAlbumArchive(filePath) {
+    let zip;
+    try {
+        zip = await yauzl.openPromise(filePath, { autoClose: false });
+    } catch (err) {
+        throw new Error(`Not a ZIP archive: ${err.message}`);
+    }
+
+    try {
+        const entries = new Map();
+        for await (const entry of zip.eachEntry()) {
+            entries.set(entry.fileName, entry);
+        }
+
+        // Helper: Read a file from the archive
+        async function read(name) {
+            const entry = entries.get(name);
+            if (!entry) {
+                throw new Error(`${name} is missing from the archive`);
+            }
+            const chunks = [];
+            for await (const chunk of await zip.openReadStreamPromise(entry)) {
+                chunks.push(chunk);
+            }
+            return Buffer.concat(chunks);
+        }
+
+        if (!entries.has('manifest.json')) {
+            throw new Error('Not an album archive (no manifest.json)');
+        }
+        const manifest = JSON.parse(await read('manifest.json'));
+        if (manifest.format !== ARCHIVE_FORMAT) {
+            throw new Error('Not an album archive');
+        }
+        if (!(manifest.version <= ARCHIVE_VERSION)) {
+            throw new Error(`The archive was made by a newer version (format version ${manifest.version})`);
+        }
+        if (!Array.isArray(manifest.originals)) {
+            throw new Error('Invalid manifest');
+        }
+
+        const images = JSON.parse(await read('album.json'));
+        if (!Array.isArray(images)) {
+            throw new Error('Invalid album.json');
+        }
+        const originalPaths = new Set(manifest.originals.map(original => original.path));
+
+        return {
+            manifest,
+            post: (await read('post.md')).toString('utf8'),
+            images,
+            async readOriginal(name) {
+                if (!originalPaths.has(name)) {
+                    throw new Error(`${name} is not an original listed in the manifest`);
+                }
+                return read(name);
+            },
+            close: () => zip.close()
+        };
+    } catch (err) {
+        zip.close();
+        throw err;
+    }
+}
+
+module.exports = {
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    createAlbumArchive,
+    openAlbumArchive
+};
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const yazl = require('yazl');
+const { createTempDir, createTestSite, createTestJpeg } = require('../test/fixtures');
+const { getImageKeys, getOwnKey, hashFile } = require('./images');
+const { getProcessingSettings } = require('./metadata');
+const { ARCHIVE_FORMAT, createAlbumArchive, openAlbumArchive } = require('./archive');
+
+// Helper: Write a ZIP with the given entries
+async function writeZip(filePath, entries) {
+    const zip = new yazl.ZipFile();
+    for (const [name, content] of Object.entries(entries)) {
+        zip.addBuffer(Buffer.from(content), name);
+    }
+    zip.end();
+    await pipeline(zip.outputStream, fs.createWriteStream(filePath));
+}
+
+test('exported albums import onto another storage', async (t) => {
+    const tmp = createTempDir(t, 'archive');
+    const source = createTestSite(path.join(tmp, 'source'), 'https://source.example.com');
+    const target = createTestSite(path.join(tmp, 'target'), 'https://target.example.com');
+    const processing = getProcessingSettings();
+
+    const buffer = await createTestJpeg('#884422');
+    const uploaded = await source.imageProcessor.processImage('album', { originalname: 'shot.jpg', mimetype: 'image/jpeg', buffer }, hashFile(buffer), processing);
+    const legacy = { 'imageFull-link': 'https://i.imgur.com/aaaaaaa.jpeg' };
+    const images = [{ ...uploaded, caption: 'Kept' }, legacy];
+
+    const archivePath = path.join(tmp, 'album.zip');
+    const post = '---\ntitle: Album\n---\n';
+    await pipeline(
+        createAlbumArchive({ storage: source.storage, slug: 'album', title: 'Album', date: '2024-01-01', post, images }),
+        fs.createWriteStream(archivePath)
+    );
+
+    const archive = await openAlbumArchive(archivePath);
+    t.after(() => archive.close());
+    assert.equal(archive.manifest.format, ARCHIVE_FORMAT);
+    assert.equal(archive.manifest.slug, 'album');
+    assert.equal(archive.manifest.images, 2);
+    assert.equal(archive.post, post);
+    assert.deepEqual(archive.images, images);
+    assert.equal(archive.manifest.originals.length, 1);
+
+    const [original] = archive.manifest.originals;
+    assert.equal(original.index, 0);
+    const originalBuffer = await archive.readOriginal(original.path);
+    assert.ok(originalBuffer.equals(await source.storage.get(getImageKeys(uploaded, 'album')[0])));
+    await assert.rejects(archive.readOriginal('post.md'), /not an original/);
+
+    const imported = await target.imageProcessor.importOriginal('copy', archive.images[0], originalBuffer, processing);
+    assert.equal(imported.caption, 'Kept');
+    assert.equal(imported.width, 60);
+    // Stored under the same hash name an upload of the photo would get
+    assert.equal(imported.url, `https://target.example.com/copy/${uploaded.hash.slice(0, 16)}.jpg`);
+    assert.equal(imported.hash, uploaded.hash);
+    assert.equal(getOwnKey(target.storage, imported.url, 'copy'), `copy/${uploaded.hash.slice(0, 16)}.jpg`);
+    for (const key of getImageKeys(imported, 'copy')) {
+        assert.ok((await target.storage.get(key)).length > 0, key);
+    }
+});
+
+test('files that are not album archives are refused', async (t) => {
+    const tmp = createTempDir(t, 'archive');
+
+    const textPath = path.join(tmp, 'notes.txt');
+    fs.writeFileSync(textPath, 'not a zip');
+    await assert.rejects(openAlbumArchive(textPath), /Not a ZIP archive/);
+
+    const otherPath = path.join(tmp, 'other.zip');
+    await writeZip(otherPath, { 'readme.txt': 'hello' });
+    await assert.rejects(openAlbumArchive(otherPath), /no manifest\.json/);
+
+    const newerPath = path.join(tmp, 'newer.zip');
+    await writeZip(newerPath, { 'manifest.json': JSON.stringify({ format: ARCHIVE_FORMAT, version: 99, originals: [] }) });
+    await assert.rejects(openAlbumArchive(newerPath), /newer version/);
+
+    const incompletePath = path.join(tmp, 'incomplete.zip');
+    await writeZip(incompletePath, { 'manifest.json': JSON.stringify({ format: ARCHIVE_FORMAT, version: 1, originals: [] }) });
+    await assert.rejects(openAlbumArchive(incompletePath), /album\.json is missing/);
+});
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+
+// Passwords are stored as "scrypt$<salt>$<hash>" (base64), generated with
+// `node cli.js hash-password`.
+const SCRYPT_KEY_LENGTH = 64;
+
+// Login attempts allowed per client within the lockout window
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Helper: Hash a password for the config file
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// Helper: Check a password against a stored hash
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Base32 (RFC 4648) for TOTP secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    let bits = '';
+    for (const char of input.toUpperCase().replace(/[\s=]/g, '')) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value < 0) throw new Error('Invalid base32 character in TOTP secret');
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+// Helper: Generate a TOTP secret for authenticator apps
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// Helper: Compute the TOTP code (RFC 6238, SHA-1, 6 digits, 30s) for a time step
+function getTotpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+    return String(code).padStart(6, '0');
+}
+
+// Helper: Find the time step of a TOTP code, allowing one step of clock
+// drift either way. Returns null if the code doesn't match.
+function findTotpStep(secret, code, now = Date.now()) {
+    const step = Math.floor(now / 30000);
+    const input = String(code || '').replace(/\s/g, '');
+    const drift = [-1, 0, 1].find(d => getTotpCode(secret, step + d) === input);
+    return drift === undefined ? null : step + drift;
+}
+
+// One-time TOTP checks
+// With the drift allowance a code is valid for up to 90 seconds, so the step
+// of the last accepted code is remembered and codes from it or earlier are
+// refused: a code can't be used twice, even by someone watching it typed.
+function createTotpVerifier(secret) {
+    let lastStep = -Infinity;
+
+    function verify(code, now = Date.now()) {
+        const step = findTotpStep(secret, code, now);
+        if (step === null || step <= lastStep) {
+            return false;
+        }
+        lastStep = step;
+        return true;
+    }
+
+    return { verify };
+}
+
+// Helper: Get (or create) the session's CSRF token
+function getCsrfToken(req) {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+    return req.session.csrfToken;
+}
+
+// Middleware: Require a logged-in session
+// Page requests are redirected to the login page, everything else gets a 401.
+function requireAuth(req, res, next) {
+    if (req.session.authenticated) {
+        return next();
+    }
+    if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.status(401).json({ error: 'Authentication required' });
+}
+
+// Helper: Check a request's CSRF token
+// Requests with a safe method don't need one. The token is sent in the
+// X-CSRF-Token header (see public/js/csrf.js) or as a `_csrf` form field.
+function hasValidCsrfToken(req) {
+    if (SAFE_METHODS.includes(req.method)) {
+        return true;
+    }
+    const expected = req.session.csrfToken;
+    const actual = req.get('X-CSRF-Token') || (req.body && req.body._csrf);
+    return !!expected && typeof actual === 'string' && actual.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+}
+
+// Middleware: Check the CSRF token on every mutating request
+function csrfProtection(req, res, next) {
+    if (!hasValidCsrfToken(req)) {
+        return res.status(403).json({ error: 'Invalid CSRF token' });
+    }
+    next();
+}
+
+// API tokens let scripts use the REST API without a session. Only their
+// SHA-256 hashes (hex) are kept in auth.api_tokens, generated with
+// `node cli.js api-token`.
+
+// Helper: Generate an API token
+function generateApiToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+// Helper: Hash an API token for the config file
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Helper: Check an API token against the configured hashes
+function verifyApiToken(token, hashes) {
+    const actual = Buffer.from(hashApiToken(token), 'hex');
+    return (hashes || []).some((hash) => {
+        const expected = Buffer.from(String(hash), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    });
+}
+
+// Login throttling, per client address
+function createLoginLimiter() {
+    const attempts = new Map();
+
+    function isLocked(key) {
+        const entry = attempts.get(key);
+        if (!entry) return false;
+        if (Date.now() - entry.first > LOGIN_WINDOW_MS) {
+            attempts.delete(key);
+            return false;
+        }
+        return entry.count >= MAX_LOGIN_ATTEMPTS;
+    }
+
+    function recordFailure(key) {
+        const entry = attempts.get(key);
+        if (!entry || Date.now() - entry.first > LOGIN_WINDOW_MS) {
+            attempts.set(key, { first: Date.now(), count: 1 });
+        } else {
+            entry.count++;
+        }
+    }
+
+    function reset(key) {
+        attempts.delete(key);
+    }
+
+    return { isLocked, recordFailure, reset };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    generateTotpSecret,
+    getTotpCode,
+    createTotpVerifier,
+    getCsrfToken,
+    hasValidCsrfToken,
+    requireAuth,
+    csrfProtection,
+    generateApiToken,
+    hashApiToken,
+    verifyApiToken,
+    createLoginLimiter
+};
@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const net = require('net');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const { createTempDir } = require('../test/fixtures');
+const auth = require('./auth');
+
+// RFC 6238 test secret ("12345678901234567890"), whose code at 59 seconds
+// is 287082
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP = 30000;
+
+// Helper: A request as the CSRF checks see it
+function csrfRequest(method, sessionToken, { header, field } = {}) {
+    return {
+        method,
+        session: { csrfToken: sessionToken },
+        body: field === undefined ? {} : { _csrf: field },
+        get: name => (name === 'X-CSRF-Token' ? header : undefined)
+    };
+}
+
+test('passwords only verify against their own hash', () => {
+    const stored = auth.hashPassword('correct horse');
+    assert.match(stored, /^scrypt\$[^$]+\$[^$]+$/);
+    assert.notEqual(auth.hashPassword('correct horse'), stored);
+    assert.equal(auth.verifyPassword('correct horse', stored), true);
+    assert.equal(auth.verifyPassword('correct horse ', stored), false);
+    assert.equal(auth.verifyPassword('', stored), false);
+    assert.equal(auth.verifyPassword('correct horse', 'bcrypt$abc$def'), false);
+    assert.equal(auth.verifyPassword('correct horse', undefined), false);
+});
+
+test('TOTP codes are accepted one step either side of now', () => {
+    assert.equal(auth.getTotpCode(SECRET, 1), '287082');
+    const now = 100 * STEP + 10000;
+    for (const [drift, accepted] of [[-2, false], [-1, true], [0, true], [1, true], [2, false]]) {
+        const verifier = auth.createTotpVerifier(SECRET);
+        assert.equal(verifier.verify(auth.getTotpCode(SECRET, 100 + drift), now), accepted, `drift ${drift}`);
+    }
+    assert.equal(auth.createTotpVerifier(SECRET).verify('12 34 56', now), false);
+    assert.equal(auth.createTotpVerifier(SECRET).verify(undefined, now), false);
+});
+
+test('TOTP codes can only be used once', () => {
+    const verifier = auth.createTotpVerifier(SECRET);
+    const now = 100 * STEP;
+    const code = auth.getTotpCode(SECRET, 100);
+    assert.equal(verifier.verify(code, now), true);
+    assert.equal(verifier.verify(code, now + 1000), false);
+    // Nor can an older code still inside the drift window
+    assert.equal(verifier.verify(auth.getTotpCode(SECRET, 99), now + 1000), false);
+    assert.equal(verifier.verify(auth.getTotpCode(SECRET, 101), now + STEP), true);
+});
+
+test('mutating requests need the session CSRF token', () => {
+    const token = 'a'.repeat(64);
+    assert.equal(auth.hasValidCsrfToken(csrfRequest('GET', undefined)), true);
+    assert.equal(auth.hasValidCsrfToken(csrfRequest('POST', token, { header: token })), true);
+    assert.equal(auth.hasValidCsrfToken(csrfRequest('POST', token, { field: token })), true);
+    assert.equal(auth.hasValidCsrfToken(csrfRequest('POST', token)), false);
+    assert.equal(auth.hasValidCsrfToken(csrfRequest('POST', token, { header: 'b'.repeat(64) })), false);
+    assert.equal(auth.hasValidCsrfToken(csrfRequest('DELETE', token, { header: token.slice(1) })), false);
+    assert.equal(auth.hasValidCsrfToken(csrfRequest('POST', token, { field: [token] })), false);
+    // A session without a token accepts nothing, not even an empty one
+    assert.equal(auth.hasValidCsrfToken(csrfRequest('POST', undefined, { header: '' })), false);
+
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; }
+    };
+    let passed = false;
+    auth.csrfProtection(csrfRequest('POST', token, { header: 'b'.repeat(64) }), res, () => { passed = true; });
+    assert.equal(passed, false);
+    assert.deepEqual([res.statusCode, res.body], [403, { error: 'Invalid CSRF token' }]);
+});
+
+test('failed logins lock a client out until reset', () => {
+    const limiter = auth.createLoginLimiter();
+    for (let i = 0; i < 4; i++) limiter.recordFailure('1.2.3.4');
+    assert.equal(limiter.isLocked('1.2.3.4'), false);
+    limiter.recordFailure('1.2.3.4');
+    assert.equal(limiter.isLocked('1.2.3.4'), true);
+    assert.equal(limiter.isLocked('5.6.7.8'), false);
+    limiter.reset('1.2.3.4');
+    assert.equal(limiter.isLocked('1.2.3.4'), false);
+});
+
+// Helper: A free local port
+async function getFreePort() {
+    const server = net.createServer().listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const { port } = server.address();
+    server.close();
+    return port;
+}
+
+// Helper: Start the admin server on an empty site with the given auth
+// config. Returns a `request(path, options)` that keeps the session cookie
+// like a browser and doesn't follow redirects.
+async function startServer(t, authConfig) {
+    let child;
+    t.after(async () => {
+        if (child && child.exitCode === null) {
+            child.kill();
+            await once(child, 'exit');
+        }
+    });
+    const rootDir = createTempDir(t, 'server');
+    fs.mkdirSync(path.join(rootDir, '_posts'));
+    fs.mkdirSync(path.join(rootDir, '_data', 'virtual-photography'), { recursive: true });
+    const port = await getFreePort();
+    fs.writeFileSync(path.join(rootDir, '.admin-config.json'), JSON.stringify({
+        port,
+        storage: { type: 'local', dir: path.join(rootDir, 'media') },
+        auth: { session_secret: 'test', ...authConfig }
+    }));
+
+    child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, ADMIN_ROOT_DIR: rootDir, ADMIN_STATE_DIR: path.join(rootDir, 'state') },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    await new Promise((resolve, reject) => {
+        child.stdout.on('data', (data) => {
+            output += data;
+            if (output.includes('Running at')) resolve();
+        });
+        child.stderr.on('data', (data) => { output += data; });
+        child.on('exit', () => reject(new Error(`Server exited:\n${output}`)));
+    });
+
+    let cookie = '';
+    return async (urlPath, options = {}) => {
+        const response = await fetch(`http://127.0.0.1:${port}${urlPath}`, {
+            redirect: 'manual',
+            ...options,
+            headers: { ...(cookie ? { Cookie: cookie } : {}), ...options.headers }
+        });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+        return response;
+    };
+}
+
+// Helper: The CSRF token and a login as the login form posts it
+async function postLogin(request, fields) {
+    const page = await (await request('/login')).text();
+    const csrf = page.match(/name="_csrf" value="([^"]+)"/)[1];
+    return request('/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ _csrf: csrf, next: '/upload', ...fields })
+    });
+}
+
+test('the API answers for itself ahead of the page login', async (t) => {
+    const token = auth.generateApiToken();
+    const request = await startServer(t, {
+        password_hash: auth.hashPassword('secret'),
+        api_tokens: [auth.hashApiToken(token)]
+    });
+
+    // Pages send browsers to the login, other requests get a 401
+    const page = await request('/upload', { headers: { Accept: 'text/html' } });
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get('location'), '/login?next=%2Fupload');
+    assert.equal((await request('/upload/create', { method: 'POST' })).status, 401);
+
+    // The API takes its token without a session and answers in its own format
+    const albums = await request('/api/v1/albums', { headers: { Authorization: `Bearer ${token}` } });
+    assert.equal(albums.status, 200);
+    assert.deepEqual(await albums.json(), { albums: [] });
+    const anonymous = await request('/api/v1/albums', { headers: { Accept: 'text/html' } });
+    assert.equal(anonymous.status, 401);
+    assert.equal((await anonymous.json()).error.code, 'unauthorized');
+    const wrongToken = await request('/api/v1/albums', { headers: { Authorization: 'Bearer wrong' } });
+    assert.equal(wrongToken.status, 401);
+});
+
+test('logins need the password and an unused code', async (t) => {
+    const request = await startServer(t, { password_hash: auth.hashPassword('secret'), totp_secret: SECRET });
+    const step = Math.floor(Date.now() / STEP);
+    const code = auth.getTotpCode(SECRET, step);
+
+    assert.equal((await postLogin(request, { password: 'wrong', code })).status, 401);
+    assert.equal((await postLogin(request, { password: 'secret', code: auth.getTotpCode(SECRET, step - 5) })).status, 401);
+    const login = await postLogin(request, { password: 'secret', code });
+    assert.equal(login.status, 302);
+    assert.equal(login.headers.get('location'), '/upload');
+
+    // The session works, but mutating requests still need its CSRF token
+    assert.equal((await request('/upload', { headers: { Accept: 'text/html' } })).status, 200);
+    assert.equal((await request('/upload/save-order', { method: 'POST' })).status, 403);
+    assert.equal((await request('/api/v1/albums', { method: 'POST' })).status, 403);
+
+    // The same code doesn't log in again
+    const page = await (await request('/upload', { headers: { Accept: 'text/html' } })).text();
+    const csrf = page.match(/name="csrf-token" content="([^"]+)"/)[1];
+    await request('/logout', { method: 'POST', headers: { 'X-CSRF-Token': csrf } });
+    assert.equal((await postLogin(request, { password: 'secret', code })).status, 401);
+});
@@ -0,0 +1,166 @@
+const path = require('path');
+
+// File name patterns of the capture tools we use
+// Each returns { game, captureDate, suffix } from a file name without its
+// extension; captureDate is 'YYYY-MM-DDTHH:MM:SS' like the EXIF capture date.
+//   shadowplay  "AlanWake2 2023-11-07 16-45-10_edit" (GeForce Experience,
+//               ReShade); Unreal games are named after their executable,
+//               e.g. "Hellblade2-Win64-Shipping"
+//   nvidia-app  "Alan Wake 2 Screenshot 2024.06.29 - 04.30.13.52"
+//   game-bar    "Alan Wake 2 6_29_2024 4_30_13 PM" (Xbox Game Bar)
+//   steam       "20210605024922_1" (no game name)
+const CAPTURE_PATTERNS = [
+    {
+        name: 'nvidia-app',
+        pattern: /^(.+?)\s+Screenshot\s+(\d{4})\.(\d{2})\.(\d{2})\s+-\s+(\d{2})\.(\d{2})\.(\d{2})(?:\.\d+)?(.*)$/i,
+        parse: m => ({ game: m[1], date: [m[2], m[3], m[4]], time: [m[5], m[6], m[7]], suffix: m[8] })
+    },
+    {
+        name: 'shadowplay',
+        pattern: /^(.+?)\s+(\d{4})-(\d{2})-(\d{2})\s+(\d{2})-(\d{2})-(\d{2})\d*(.*)$/,
+        parse: m => ({ game: m[1], date: [m[2], m[3], m[4]], time: [m[5], m[6], m[7]], suffix: m[8] })
+    },
+    {
+        name: 'game-bar',
+        pattern: /^(.+?)\s+(\d{1,2})_(\d{1,2})_(\d{4})\s+(\d{1,2})_(\d{2})_(\d{2})\s*([AP]M)(.*)$/i,
+        parse: (m) => {
+            const hour = (parseInt(m[5], 10) % 12) + (m[8].toUpperCase() === 'PM' ? 12 : 0);
+            return { game: m[1], date: [m[4], m[2], m[3]], time: [hour, m[6], m[7]], suffix: m[9] };
+        }
+    },
+    {
+        name: 'steam',
+        pattern: /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})_\d+(.*)$/,
+        parse: m => ({ game: '', date: [m[1], m[2], m[3]], time: [m[4], m[5], m[6]], suffix: m[7] })
+    }
+];
+
+// Executable suffixes left in game names by Unreal Engine builds
+const EXECUTABLE_SUFFIX = /(-(Win64|WinGDK|Win32)-Shipping|\.exe)$/i;
+
+// Helper: Format date and time parts as 'YYYY-MM-DDTHH:MM:SS'
+// Returns null if they don't make a valid date.
+function formatCaptureDate(date, time) {
+    const pad = value => String(value).padStart(2, '0');
+    const text = `${date[0]}-${pad(date[1])}-${pad(date[2])}T${time.map(pad).join(':')}`;
+    const parsed = new Date(`${text}Z`);
+    return !isNaN(parsed) && parsed.toISOString().slice(0, 19) === text ? text : null;
+}
+
+// Helper: Key identifying a game name across spellings
+// "Hellblade2-Win64-Shipping" and "hellblade 2" both become "hellblade2".
+function getGameKey(game) {
+    return game.replace(EXECUTABLE_SUFFIX, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Helper: Turn a game name from a file name into a title
+// Executable suffixes are dropped and run-together words split:
+// "AlanWake2" becomes "Alan Wake 2", "eldenring" becomes "Eldenring".
+function formatGameTitle(game) {
+    const title = game
+        .replace(EXECUTABLE_SUFFIX, '')
+        .replace(/_+/g, ' ')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/([A-Za-z])(\d)/g, '$1 $2')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return title === title.toLowerCase() ? title.replace(/\b[a-z]/g, c => c.toUpperCase()) : title;
+}
+
+// Parse a capture file name
+// Returns { game, captureDate, edited } (game is '' if the tool doesn't
+// name it, `edited` is set for "_edit" exports), or null if the name
+// doesn't match a known pattern.
+function parseCaptureName(fileName) {
+    const base = path.basename(fileName, path.extname(fileName)).trim();
+    for (const { pattern, parse } of CAPTURE_PATTERNS) {
+        const match = base.match(pattern);
+        if (!match) continue;
+        const { game, date, time, suffix } = parse(match);
+        const captureDate = formatCaptureDate(date, time);
+        if (!captureDate) continue;
+        return {
+            game: game.trim(),
+            captureDate,
+            edited: /(^|[\s_-])edit(ed)?\d*\b/i.test(suffix)
+        };
+    }
+    return null;
+}
+
+// Helper: Albums by the game key of their images' file names
+// Lets a game be recognised under its capture name ("eldenring") and
+// suggested with the title and developer it was published under before.
+// Newer albums win.
+function getKnownGames(albums) {
+    const games = new Map();
+    const byDate = [...albums].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    for (const album of byDate) {
+        for (const image of album.images || []) {
+            const capture = image.file_name ? parseCaptureName(image.file_name) : null;
+            if (capture && capture.game) {
+                games.set(getGameKey(capture.game), { title: album.title, developer: album.developer });
+            }
+        }
+    }
+    return games;
+}
+
+// Suggest album details from the file names of its images
+// `albums` are the existing albums, used to recognise games published
+// before. Returns { title, developer, date, order, captures }:
+//   title      the most common game, as published before or formatted
+//              from its capture name ('' if no file names one)
+//   developer  the developer it was published with, or ''
+//   date       the day of the earliest capture, or ''
+//   order      indexes into `names` in capture order; an edited export
+//              comes right after its original and names without a capture
+//              time keep their relative order at the end
+//   captures   the parsed file names, null where none matched
+function suggestAlbumDetails(names, albums = []) {
+    const captures = names.map(name => parseCaptureName(name));
+
+    const counts = new Map();
+    for (const capture of captures) {
+        if (!capture || !capture.game) continue;
+        const key = getGameKey(capture.game);
+        const entry = counts.get(key) || { game: capture.game, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+    }
+    let title = '';
+    let developer = '';
+    const [top] = [...counts.entries()].sort((a, b) => b[1].count - a[1].count);
+    if (top) {
+        const known = getKnownGames(albums).get(top[0]);
+        title = known ? known.title : formatGameTitle(top[1].game);
+        developer = known ? known.developer : '';
+    }
+
+    const dates = captures.filter(Boolean).map(capture => capture.captureDate).sort();
+    const order = names.map((name, index) => index).sort((a, b) => {
+        const captureA = captures[a];
+        const captureB = captures[b];
+        if (!captureA || !captureB) {
+            if (captureA) return -1;
+            return captureB ? 1 : a - b;
+        }
+        return captureA.captureDate.localeCompare(captureB.captureDate) ||
+            Number(captureA.edited) - Number(captureB.edited) ||
+            a - b;
+    });
+
+    return {
+        title,
+        developer,
+        date: dates.length > 0 ? dates[0].split('T')[0] : '',
+        order,
+        captures
+    };
+}
+
+module.exports = {
+    parseCaptureName,
+    formatGameTitle,
+    suggestAlbumDetails
+};
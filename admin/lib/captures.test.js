@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCaptureName, formatGameTitle, suggestAlbumDetails } = require('./captures');
+
+test('capture tool file names are parsed', () => {
+    assert.deepEqual(parseCaptureName('eldenring 2024-06-29 04-30-13_edit.jpg'), { game: 'eldenring', captureDate: '2024-06-29T04:30:13', edited: true });
+    assert.deepEqual(parseCaptureName('Hellblade2-Win64-Shipping 2024-05-21 22-01-05.png'), { game: 'Hellblade2-Win64-Shipping', captureDate: '2024-05-21T22:01:05', edited: false });
+    assert.deepEqual(parseCaptureName('Alan Wake 2 Screenshot 2024.06.29 - 04.30.13.52.png'), { game: 'Alan Wake 2', captureDate: '2024-06-29T04:30:13', edited: false });
+    assert.deepEqual(parseCaptureName('Alan Wake 2 6_29_2024 4_30_13 PM.png'), { game: 'Alan Wake 2', captureDate: '2024-06-29T16:30:13', edited: false });
+    assert.deepEqual(parseCaptureName('Alan Wake 2 6_29_2024 12_05_00 AM.png'), { game: 'Alan Wake 2', captureDate: '2024-06-29T00:05:00', edited: false });
+    assert.deepEqual(parseCaptureName('20210605024922_1.jpg'), { game: '', captureDate: '2021-06-05T02:49:22', edited: false });
+});
+
+test('names without a valid capture time are not parsed', () => {
+    assert.equal(parseCaptureName('IMG_1234.jpg'), null);
+    assert.equal(parseCaptureName('eldenring 2024-02-30 04-30-13.jpg'), null);
+    assert.equal(parseCaptureName('20211305024922_1.jpg'), null);
+});
+
+test('game names become titles', () => {
+    assert.equal(formatGameTitle('AlanWake2'), 'Alan Wake 2');
+    assert.equal(formatGameTitle('eldenring'), 'Eldenring');
+    assert.equal(formatGameTitle('Hellblade2-Win64-Shipping'), 'Hellblade 2');
+    assert.equal(formatGameTitle('Cyberpunk2077.exe'), 'Cyberpunk 2077');
+});
+
+test('album details are suggested from the most common game and earliest capture', () => {
+    const names = [
+        'notes.jpg',
+        'eldenring 2024-06-29 04-30-13_edit.jpg',
+        'eldenring 2024-06-29 04-30-13.jpg',
+        'AlanWake2 2024-06-20 10-00-00.jpg',
+        'eldenring 2024-06-28 23-59-59.jpg'
+    ];
+    const details = suggestAlbumDetails(names);
+    assert.equal(details.title, 'Eldenring');
+    assert.equal(details.developer, '');
+    assert.equal(details.date, '2024-06-20');
+    // Edited exports follow their original; unparsed names go last
+    assert.deepEqual(details.order, [3, 4, 2, 1, 0]);
+    assert.equal(details.captures[0], null);
+});
+
+test('games published before keep their title and developer', () => {
+    const albums = [
+        { title: 'Old Title', developer: 'Old', date: '2023-01-01', images: [{ file_name: 'eldenring 2023-01-01 10-00-00.jpg' }] },
+        { title: 'ELDEN RING', developer: 'FromSoftware', date: '2024-01-01', images: [{ file_name: 'eldenring 2024-01-01 10-00-00.jpg' }] },
+        { title: 'Legacy', date: '2022-01-01', images: [{ 'imageFull-link': 'https://i.imgur.com/a.jpeg' }] }
+    ];
+    const details = suggestAlbumDetails(['EldenRing 2024-06-29 04-30-13.jpg'], albums);
+    assert.equal(details.title, 'ELDEN RING');
+    assert.equal(details.developer, 'FromSoftware');
+    assert.deepEqual(suggestAlbumDetails(['IMG_1234.jpg'], albums), { title: '', developer: '', date: '', order: [0], captures: [null] });
+});
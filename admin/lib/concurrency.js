@@ -0,0 +1,64 @@
+// Helper: Sleep for the given number of milliseconds
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Helper: Run fn over items with at most `limit` calls in flight
+// Results keep the order of `items`. The first error rejects the whole call,
+// but calls already started are allowed to settle first.
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = null;
+
+    async function worker(workerIndex) {
+        while (next < items.length && !failed) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index], index, workerIndex);
+            } catch (err) {
+                failed = failed || err;
+            }
+        }
+    }
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, (_, i) => worker(i)));
+
+    if (failed) {
+        throw failed;
+    }
+    return results;
+}
+
+// Helper: Retry an async function with exponential backoff and jitter
+// `isRetryable(err)` decides whether an error is worth another attempt;
+// `onRetry(err, attempt, delay)` runs before each wait, e.g. to refresh tokens.
+async function withRetry(fn, options = {}) {
+    const {
+        retries = 5,
+        baseDelay = 1000,
+        maxDelay = 30000,
+        isRetryable = () => true,
+        onRetry = () => {}
+    } = options;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (err) {
+            if (attempt > retries || !isRetryable(err)) {
+                throw err;
+            }
+            const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)) * (0.5 + Math.random() / 2);
+            await onRetry(err, attempt, delay);
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    sleep,
+    mapWithConcurrency,
+    withRetry
+};
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mapWithConcurrency, withRetry } = require('./concurrency');
+
+// Helper: Run waits at once, recording how long they would have been
+function skipDelays(t) {
+    const delays = [];
+    t.mock.method(global, 'setTimeout', (fn, ms) => {
+        delays.push(ms);
+        return setImmediate(fn);
+    });
+    return delays;
+}
+
+test('failures are retried with exponential backoff up to the cap', async (t) => {
+    const delays = skipDelays(t);
+    t.mock.method(Math, 'random', () => 1);
+    let calls = 0;
+    const result = await withRetry(async (attempt) => {
+        calls++;
+        if (attempt < 6) throw new Error('Service unavailable');
+        return 'stored';
+    }, { retries: 5, baseDelay: 1000, maxDelay: 5000 });
+
+    assert.equal(result, 'stored');
+    assert.equal(calls, 6);
+    assert.deepEqual(delays, [1000, 2000, 4000, 5000, 5000]);
+});
+
+test('jitter only ever shortens a wait, to no less than half', async (t) => {
+    const delays = skipDelays(t);
+    t.mock.method(Math, 'random', () => 0);
+    await assert.rejects(withRetry(async () => {
+        throw new Error('Service unavailable');
+    }, { retries: 3, baseDelay: 1000, maxDelay: 1500 }), /Service unavailable/);
+    assert.deepEqual(delays, [500, 750, 750]);
+});
+
+test('errors that are not retryable fail at once', async (t) => {
+    const delays = skipDelays(t);
+    const retried = [];
+    let calls = 0;
+    const error = Object.assign(new Error('Bad request'), { status: 400 });
+    await assert.rejects(withRetry(async () => {
+        calls++;
+        throw error;
+    }, { isRetryable: err => err.status >= 500, onRetry: err => retried.push(err) }), error);
+    assert.equal(calls, 1);
+    assert.deepEqual(retried, []);
+    assert.deepEqual(delays, []);
+});
+
+test('at most `limit` calls run at once and results keep their order', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0, 10], 2, async (ms, index) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        running--;
+        return index;
+    });
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.equal(peak, 2);
+});
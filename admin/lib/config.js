@@ -0,0 +1,50 @@
+const path = require('path');
+const fs = require('fs');
+
+// Paths
+// The site checkout is the repository root and the admin keeps its working
+// state (jobs, history, archives, watermarks) in admin/. ADMIN_ROOT_DIR and
+// ADMIN_STATE_DIR point them elsewhere, e.g. for tests.
+const ROOT_DIR = path.resolve(process.env.ADMIN_ROOT_DIR || path.join(__dirname, '..', '..'));
+const STATE_DIR = path.resolve(process.env.ADMIN_STATE_DIR || path.join(__dirname, '..'));
+const ADMIN_CONFIG_PATH = path.join(ROOT_DIR, '.admin-config.json');
+const B2_CONFIG_PATH = path.join(ROOT_DIR, '.b2-config.json');
+
+// Helper: Read a JSON config file, returning null if it doesn't exist
+function readConfigFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Error parsing ${path.basename(filePath)}: ${err.message}`);
+    }
+}
+
+// Load admin config
+// .admin-config.json is the main config file. For older setups that only have
+// .b2-config.json, its contents are used as the B2 storage settings. With
+// neither file present the admin falls back to local-disk storage so it can
+// run offline.
+function loadConfig() {
+    const config = readConfigFile(ADMIN_CONFIG_PATH) || {};
+
+    if (!config.storage) {
+        const b2Config = readConfigFile(B2_CONFIG_PATH);
+        if (b2Config) {
+            config.storage = { type: 'b2', ...b2Config };
+        } else {
+            console.warn('No .admin-config.json or .b2-config.json found, using local storage');
+            config.storage = { type: 'local' };
+        }
+    }
+
+    return config;
+}
+
+module.exports = {
+    ROOT_DIR,
+    STATE_DIR,
+    loadConfig
+};
@@ -0,0 +1,115 @@
+const sharp = require('sharp');
+
+// Default derivative ladder
+// Each width is rendered in every format; 'original' adds a derivative at the
+// source image's own width. Widths larger than the source are skipped.
+const DEFAULT_DERIVATIVES = {
+    widths: [600, 1280, 1920, 2560, 'original'],
+    formats: ['webp', 'avif'],
+    quality: {
+        webp: 85,
+        avif: 55
+    }
+};
+
+// Inline placeholders are this many pixels on their longest side, matching
+// pig.js's default `thumbnailSize`
+const PLACEHOLDER_SIZE = 20;
+const PLACEHOLDER_QUALITY = 50;
+
+const CONTENT_TYPES = {
+    webp: 'image/webp',
+    avif: 'image/avif',
+    jpeg: 'image/jpeg'
+};
+
+// Helper: Merge derivative settings with defaults
+function getDerivativeSettings(settings = {}) {
+    return {
+        widths: settings.widths || DEFAULT_DERIVATIVES.widths,
+        formats: settings.formats || DEFAULT_DERIVATIVES.formats,
+        quality: { ...DEFAULT_DERIVATIVES.quality, ...settings.quality }
+    };
+}
+
+// Helper: Resolve the ladder widths for an image of the given width
+function getLadderWidths(widths, originalWidth) {
+    const resolved = widths
+        .map(w => (w === 'original' ? originalWidth : parseInt(w)))
+        .filter(w => w > 0 && w <= originalWidth);
+
+    // Always produce at least one size, even for images smaller than the ladder
+    if (resolved.length === 0) {
+        resolved.push(originalWidth);
+    }
+
+    return [...new Set(resolved)].sort((a, b) => a - b);
+}
+
+// Helper: Render every derivative for an image
+// `metadata` comes from readMetadata(), so its size is the upright one.
+// Derivatives are converted to sRGB unless `keepIccProfile` is set, in which
+// case the source's colour profile is embedded in each of them.
+// `getOverlay(width, height)` can return a sharp composite input (e.g. a
+// watermark) to draw on each size.
+// Returns [{ width, height, format, contentType, buffer }], smallest first.
+async function createDerivatives(buffer, metadata, settings, { keepIccProfile = false, getOverlay = null } = {}) {
+    const { widths, formats, quality } = getDerivativeSettings(settings);
+    const derivatives = [];
+
+    for (const width of getLadderWidths(widths, metadata.width)) {
+        const height = Math.round(metadata.height * (width / metadata.width));
+        const overlay = getOverlay ? await getOverlay(width, height) : null;
+        for (const format of formats) {
+            let pipeline = sharp(buffer).rotate().resize(width, null, { withoutEnlargement: true });
+            if (keepIccProfile && metadata.icc) {
+                pipeline = pipeline.keepIccProfile();
+            }
+            if (overlay) {
+                pipeline = pipeline.composite([overlay]);
+            }
+            const output = await pipeline
+                .toFormat(format, { quality: quality[format] })
+                .toBuffer();
+            derivatives.push({
+                width,
+                height,
+                format,
+                contentType: CONTENT_TYPES[format] || `image/${format}`,
+                buffer: output
+            });
+        }
+    }
+
+    return derivatives;
+}
+
+// Helper: Format an { r, g, b } colour as a hex string
+function toHexColor({ r, g, b }) {
+    return '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+// Helper: Render the inline placeholder of an image
+// Returns { placeholder, color }: a tiny WebP as a data URI, which the gallery
+// blurs while the full image loads, and the dominant colour painted before
+// that. Neither needs a request of its own.
+async function createPlaceholder(buffer) {
+    const tiny = await sharp(buffer)
+        .rotate()
+        .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+        .webp({ quality: PLACEHOLDER_QUALITY })
+        .toBuffer();
+    const { dominant } = await sharp(tiny).stats();
+    return {
+        placeholder: `data:image/webp;base64,${tiny.toString('base64')}`,
+        color: toHexColor(dominant)
+    };
+}
+
+module.exports = {
+    DEFAULT_DERIVATIVES,
+    getDerivativeSettings,
+    getLadderWidths,
+    createDerivatives,
+    createPlaceholder
+};
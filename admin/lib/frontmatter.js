@@ -0,0 +1,74 @@
+const YAML = require('yaml');
+
+// Front matter block at the start of a post: "---", YAML, "---"
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?\r?\n)?---(?=\r?\n|$)/;
+
+// Keep long values on one line instead of folding them, and write lists as
+// `[a, b]` like the existing posts
+const TO_STRING_OPTIONS = { lineWidth: 0, minContentWidth: 0, flowCollectionPadding: false };
+
+// Helper: Split a post into its front matter document and the text after it
+// `body` is everything after the closing "---", including the newline, so
+// joining the two again reproduces the file.
+function splitPost(content) {
+    const match = content.match(FRONT_MATTER_PATTERN);
+    if (!match) {
+        return { document: new YAML.Document(), body: content ? `\n${content}` : '' };
+    }
+    const document = YAML.parseDocument(match[1] || '');
+    if (document.errors.length > 0) {
+        throw new Error(`Invalid front matter: ${document.errors[0].message}`);
+    }
+    return { document, body: content.slice(match[0].length) };
+}
+
+// Parse a post's front matter into a plain object
+function parseFrontMatter(content) {
+    return splitPost(content).document.toJS() || {};
+}
+
+// Helper: Whether a node already holds a value
+function sameValue(node, value) {
+    const current = YAML.isNode(node) ? node.toJSON() : node;
+    return JSON.stringify(current) === JSON.stringify(value);
+}
+
+// Update the given front matter keys of a post
+// Only keys in `values` are touched: unchanged values keep their formatting,
+// changed scalars keep their quoting style and lists keep flow style
+// (`[a, b]`). Other keys, comments and the post body are preserved.
+// A value of null removes the key.
+function updateFrontMatter(content, values) {
+    const { document, body } = splitPost(content);
+    if (!YAML.isMap(document.contents)) {
+        document.contents = document.createNode({});
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+        if (value === undefined) continue;
+        if (value === null) {
+            document.delete(key);
+            continue;
+        }
+
+        const node = document.get(key, true);
+        if (sameValue(node, value)) continue;
+
+        if (YAML.isScalar(node) && !Array.isArray(value)) {
+            node.value = value;
+        } else {
+            const newNode = document.createNode(value);
+            if (YAML.isSeq(newNode)) {
+                newNode.flow = YAML.isSeq(node) ? node.flow : true;
+            }
+            document.set(key, newNode);
+        }
+    }
+
+    return `---\n${document.toString(TO_STRING_OPTIONS)}---${body}`;
+}
+
+module.exports = {
+    parseFrontMatter,
+    updateFrontMatter
+};
@@ -0,0 +1,281 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { createTwoFilesPatch } = require('diff');
+const { writeFileAtomic, runTransaction } = require('./transaction');
+const { deleteObjects } = require('./reconcile');
+
+// How often delayed storage deletions are checked
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+// Helper: Read a revision file
+function readRevisionFile(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Helper: Whether a revision still has storage deletions to run
+function hasPendingDeletes(revision) {
+    return revision.deletes.length > 0 && !revision.deleted && !revision.deletesCancelled;
+}
+
+// Storage keys that revisions in a history directory will delete later
+// Those objects are kept so their deletion can be undone; nothing else may
+// delete them before. Used by the CLI, which has no history of its own.
+function readPendingDeletes(dir) {
+    const keys = new Set();
+    if (!fs.existsSync(dir)) return keys;
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+        try {
+            const revision = readRevisionFile(path.join(dir, file));
+            if (hasPendingDeletes(revision)) revision.deletes.forEach(key => keys.add(key));
+        } catch (e) {
+            // Ignore revisions that can't be read
+        }
+    }
+    return keys;
+}
+
+// Revision history
+// Every admin mutation is recorded as a revision in `<dir>/<id>.json` holding
+// the content of each file it changed (album JSON, post, album order) before
+// and after, with paths relative to `rootDir`. Restoring a revision writes its
+// files back to their content from before it; the restore is recorded as a
+// revision too, so it can be undone in turn.
+//
+// Storage objects a mutation deletes are kept for `deleteDelayMinutes` and
+// only deleted then, so undoing an image or album deletion brings working
+// images back. Restoring after that leaves the album referencing missing
+// files, which the storage page can repair. Objects uploaded by a change that
+// is undone are left as orphans for the storage page to clean up.
+//
+// Stored file names are content hashes, so a later change can reference a
+// pending key again (the same file uploaded again, images moved back). Keys
+// in `getKeysInUse()` are therefore never deleted, and revisions with keys
+// under a slug in `getBusySlugs()` (an upload job may be writing them) wait
+// for the next check.
+//
+// Only the newest `limit` revisions are kept.
+function createHistory({ dir, rootDir, storage, limit = 500, deleteDelayMinutes = 60, getKeysInUse = () => new Set(), getBusySlugs = () => new Set() }) {
+    let timer = null;
+    let pending = Promise.resolve();
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    // Helper: Revision paths and storage
+    function getRevisionPath(id) {
+        if (!/^[\w-]+$/.test(id)) throw new Error('Invalid revision id');
+        return path.join(dir, `${id}.json`);
+    }
+
+    function read(id) {
+        const revisionPath = getRevisionPath(id);
+        if (!fs.existsSync(revisionPath)) return null;
+        return readRevisionFile(revisionPath);
+    }
+
+    function save(revision) {
+        writeFileAtomic(getRevisionPath(revision.id), JSON.stringify(revision, null, 2));
+    }
+
+    // Helper: A file's current content, null if it doesn't exist
+    function readCurrent(filePath) {
+        return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    }
+
+    // Helper: Revision ids, newest first (ids start with the creation time)
+    function listIds() {
+        return fs.readdirSync(dir)
+            .filter(f => f.endsWith('.json'))
+            .map(f => f.slice(0, -'.json'.length))
+            .sort()
+            .reverse();
+    }
+
+    // Helper: Public view of a revision, without file contents
+    function summarize(revision) {
+        return {
+            id: revision.id,
+            label: revision.label,
+            createdAt: revision.createdAt,
+            files: revision.files.map(file => file.path),
+            deletes: revision.deletes.length,
+            deleteAt: hasPendingDeletes(revision) ? revision.deleteAt : null,
+            deleted: revision.deleted,
+            restores: revision.restores,
+            restoredBy: revision.restoredBy
+        };
+    }
+
+    // Record a committed transaction
+    // `outcome` is what runTransaction returns. Returns the revision id, or
+    // null if nothing changed.
+    function record(label, outcome, { restores = null } = {}) {
+        const files = outcome.changes
+            .filter(change => change.before !== change.after)
+            .map(change => ({
+                path: path.relative(rootDir, change.filePath).split(path.sep).join('/'),
+                before: change.before,
+                after: change.after
+            }));
+        const deletes = outcome.deferredDeletes || [];
+        if (files.length === 0 && deletes.length === 0) return null;
+
+        const now = Date.now();
+        const revision = {
+            id: `${now}-${crypto.randomBytes(3).toString('hex')}`,
+            label,
+            createdAt: new Date(now).toISOString(),
+            files,
+            deletes,
+            deleteAt: new Date(now + deleteDelayMinutes * 60 * 1000).toISOString(),
+            deleted: false,
+            deletesCancelled: false,
+            restores,
+            restoredBy: null
+        };
+        save(revision);
+        prune();
+        return revision.id;
+    }
+
+    // Helper: Remove the oldest revisions beyond the limit
+    // Revisions still waiting to delete objects are kept until they have.
+    function prune() {
+        for (const id of listIds().slice(limit)) {
+            const revision = read(id);
+            if (revision && !hasPendingDeletes(revision)) {
+                fs.rmSync(getRevisionPath(id), { force: true });
+            }
+        }
+    }
+
+    // Helper: Run purges and restores one at a time
+    // Both read a revision, wait on storage and save it again. A restore
+    // waits for a purge in progress and then sees what it deleted, and a
+    // purge never saves over a restore's cancellation.
+    function exclusive(fn) {
+        const run = pending.then(fn);
+        pending = run.catch(() => {});
+        return run;
+    }
+
+    // Run storage deletions whose delay has passed
+    function purge() {
+        return exclusive(runPurge);
+    }
+
+    async function runPurge() {
+        try {
+            const now = new Date().toISOString();
+            const due = listIds().map(read).filter(revision => revision && hasPendingDeletes(revision) && revision.deleteAt <= now);
+            const inUse = due.length > 0 ? getKeysInUse() : new Set();
+            const busySlugs = due.length > 0 ? getBusySlugs() : new Set();
+            for (const revision of due) {
+                if (revision.deletes.some(key => busySlugs.has(key.split('/')[0]))) continue;
+                const { failed } = await deleteObjects(storage, revision.deletes.filter(key => !inUse.has(key)));
+                revision.deleted = true;
+                revision.failedDeletes = failed;
+                revision.keptInUse = revision.deletes.filter(key => inUse.has(key));
+                save(revision);
+            }
+            prune();
+        } catch (e) {
+            console.error('Error purging deleted images:', e.message);
+        }
+    }
+
+    // Check for due deletions periodically
+    function start() {
+        purge();
+        timer = setInterval(purge, PURGE_INTERVAL_MS);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    // Storage keys waiting to be deleted by revisions that can be undone
+    function getPendingDeletes() {
+        return readPendingDeletes(dir);
+    }
+
+    function list() {
+        return listIds().map(read).filter(Boolean).map(summarize);
+    }
+
+    // One revision with a unified diff per file
+    function get(id) {
+        const revision = read(id);
+        if (!revision) return null;
+        return {
+            ...summarize(revision),
+            diffs: revision.files.map(file => ({
+                path: file.path,
+                status: file.before === null ? 'added' : file.after === null ? 'removed' : 'modified',
+                patch: createTwoFilesPatch(file.path, file.path, file.before || '', file.after || '', '', '', { context: 3 })
+            }))
+        };
+    }
+
+    // Restore the files of a revision to their content before it
+    // Pending deletions of the revision are cancelled, since the restored
+    // files reference those objects again. Returns { revision, missing } with
+    // the new revision's id and the number of objects that were already
+    // deleted, or null if the revision doesn't exist.
+    //
+    // Files changed again since the revision would lose those later changes,
+    // so nothing is restored then unless `force` is set; { conflicts } lists
+    // those files instead.
+    function restore(id, options) {
+        return exclusive(() => runRestore(id, options));
+    }
+
+    async function runRestore(id, { force = false } = {}) {
+        const revision = read(id);
+        if (!revision) return null;
+
+        const conflicts = revision.files
+            .filter(file => readCurrent(path.join(rootDir, file.path)) !== file.after)
+            .map(file => file.path);
+        if (conflicts.length > 0 && !force) {
+            return { conflicts };
+        }
+
+        const outcome = await runTransaction(storage, tx => {
+            for (const file of revision.files) {
+                const filePath = path.join(rootDir, file.path);
+                if (file.before === null) {
+                    tx.removeFile(filePath);
+                } else {
+                    tx.writeFile(filePath, file.before);
+                }
+            }
+        });
+
+        const missing = revision.deleted ? revision.deletes.length - (revision.keptInUse || []).length : 0;
+        if (hasPendingDeletes(revision)) {
+            revision.deletesCancelled = true;
+        }
+        revision.restoredBy = record(`Restore: ${revision.label}`, outcome, { restores: revision.id });
+        save(revision);
+        return { revision: revision.restoredBy, missing };
+    }
+
+    return {
+        record,
+        list,
+        get,
+        restore,
+        getPendingDeletes,
+        purge,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    readPendingDeletes,
+    createHistory
+};
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { createTempDir, createTestStorage } = require('../test/fixtures');
+const { createHistory, readPendingDeletes } = require('./history');
+
+// Helper: A history over a temporary site and local storage
+function setup(t, options = {}) {
+    const rootDir = createTempDir(t, 'history');
+    const storage = createTestStorage(path.join(rootDir, 'media'));
+    const dir = path.join(rootDir, '.history');
+    const history = createHistory({ dir, rootDir, storage, deleteDelayMinutes: 0, ...options });
+    return { rootDir, storage, dir, history };
+}
+
+// Helper: Write a file and return the change a transaction would report
+function change(rootDir, name, before, after) {
+    const filePath = path.join(rootDir, name);
+    if (after === null) {
+        fs.rmSync(filePath, { force: true });
+    } else {
+        fs.writeFileSync(filePath, after);
+    }
+    return { filePath, before, after };
+}
+
+async function exists(storage, key) {
+    return storage.get(key).then(() => true, () => false);
+}
+
+test('purge deletes due objects but keeps keys in use again', async (t) => {
+    const inUse = new Set(['album/aaaa.jpg']);
+    const { rootDir, storage, history } = setup(t, { getKeysInUse: () => inUse });
+    await storage.put('album/aaaa.jpg', Buffer.from('a'));
+    await storage.put('album/bbbb.jpg', Buffer.from('b'));
+
+    const id = history.record('Delete images', {
+        changes: [change(rootDir, 'album.json', '[1,2]', '[]')],
+        deferredDeletes: ['album/aaaa.jpg', 'album/bbbb.jpg']
+    });
+    await history.purge();
+
+    assert.equal(await exists(storage, 'album/aaaa.jpg'), true);
+    assert.equal(await exists(storage, 'album/bbbb.jpg'), false);
+    assert.equal(history.get(id).deleted, true);
+
+    // Only the object that is really gone is reported missing
+    const result = await history.restore(id);
+    assert.equal(result.missing, 1);
+    assert.equal(fs.readFileSync(path.join(rootDir, 'album.json'), 'utf8'), '[1,2]');
+});
+
+test('purge waits while an upload job holds the album', async (t) => {
+    const busy = new Set(['album']);
+    const { rootDir, storage, history } = setup(t, { getBusySlugs: () => busy });
+    await storage.put('album/aaaa.jpg', Buffer.from('a'));
+
+    const id = history.record('Delete images', {
+        changes: [change(rootDir, 'album.json', '[1]', '[]')],
+        deferredDeletes: ['album/aaaa.jpg']
+    });
+    await history.purge();
+    assert.equal(await exists(storage, 'album/aaaa.jpg'), true);
+    assert.equal(history.get(id).deleted, false);
+
+    busy.clear();
+    await history.purge();
+    assert.equal(await exists(storage, 'album/aaaa.jpg'), false);
+});
+
+test('a restore during a purge waits for it instead of being overwritten', async (t) => {
+    const { rootDir, storage, dir, history } = setup(t);
+    await storage.put('album/aaaa.jpg', Buffer.from('a'));
+    const id = history.record('Delete images', {
+        changes: [change(rootDir, 'album.json', '[1]', '[]')],
+        deferredDeletes: ['album/aaaa.jpg']
+    });
+
+    // Hold the purge in its storage deletion until the restore has started
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const deleteObject = storage.delete;
+    storage.delete = async (key) => {
+        await held;
+        return deleteObject(key);
+    };
+
+    const purging = history.purge();
+    const restoring = history.restore(id);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(fs.readFileSync(path.join(rootDir, 'album.json'), 'utf8'), '[]');
+    release();
+    await purging;
+
+    // The restore saw the deletion and reports it; the purge kept its record
+    const result = await restoring;
+    assert.equal(result.missing, 1);
+    const revision = JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf8'));
+    assert.equal(revision.deleted, true);
+    assert.equal(revision.restoredBy, result.revision);
+});
+
+test('a purge after a restore leaves the restored objects alone', async (t) => {
+    const { rootDir, storage, history } = setup(t);
+    await storage.put('album/aaaa.jpg', Buffer.from('a'));
+    const id = history.record('Delete images', {
+        changes: [change(rootDir, 'album.json', '[1]', '[]')],
+        deferredDeletes: ['album/aaaa.jpg']
+    });
+
+    const restoring = history.restore(id);
+    const purging = history.purge();
+    assert.equal((await restoring).missing, 0);
+    await purging;
+    assert.equal(await exists(storage, 'album/aaaa.jpg'), true);
+    assert.equal(history.get(id).deleted, false);
+});
+
+test('restore refuses files changed again since unless forced', async (t) => {
+    const { rootDir, history } = setup(t);
+    const first = history.record('Edit album', { changes: [change(rootDir, 'album.json', 'one', 'two')] });
+    history.record('Edit album again', { changes: [change(rootDir, 'album.json', 'two', 'three')] });
+
+    assert.deepEqual(await history.restore(first), { conflicts: ['album.json'] });
+    assert.equal(fs.readFileSync(path.join(rootDir, 'album.json'), 'utf8'), 'three');
+
+    const result = await history.restore(first, { force: true });
+    assert.ok(result.revision);
+    assert.equal(fs.readFileSync(path.join(rootDir, 'album.json'), 'utf8'), 'one');
+    assert.equal(history.get(first).restoredBy, result.revision);
+});
+
+test('restore removes files the revision added, and can itself be undone', async (t) => {
+    const { rootDir, history } = setup(t);
+    const id = history.record('Create album', { changes: [change(rootDir, 'album.json', null, '[]')] });
+
+    const { revision } = await history.restore(id);
+    assert.equal(fs.existsSync(path.join(rootDir, 'album.json')), false);
+
+    await history.restore(revision);
+    assert.equal(fs.readFileSync(path.join(rootDir, 'album.json'), 'utf8'), '[]');
+    assert.equal(await history.restore('missing'), null);
+});
+
+test('pending deletes are listed until they run or are cancelled', async (t) => {
+    const { rootDir, dir, history } = setup(t, { deleteDelayMinutes: 60 });
+    const id = history.record('Delete album', {
+        changes: [change(rootDir, 'album.json', '[1]', null)],
+        deferredDeletes: ['album/aaaa.jpg']
+    });
+    assert.deepEqual([...readPendingDeletes(dir)], ['album/aaaa.jpg']);
+    assert.deepEqual([...history.getPendingDeletes()], ['album/aaaa.jpg']);
+
+    await history.restore(id);
+    assert.equal(readPendingDeletes(dir).size, 0);
+    assert.equal(readPendingDeletes(path.join(rootDir, 'nowhere')).size, 0);
+});
@@ -0,0 +1,284 @@
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { createDerivatives, createPlaceholder } = require('./derivatives');
+const { mapWithConcurrency } = require('./concurrency');
+const { readImageInfo, readMetadata, prepareOriginal } = require('./metadata');
+const { isWatermarkActive } = require('./watermark');
+
+// Helper: Get the storage key of an album file from its URL
+// Keys always start with the album slug, whatever host or bucket prefix the
+// URL was generated with.
+function getStorageKey(url, slug) {
+    const pathname = decodeURIComponent(new URL(url).pathname);
+    const index = pathname.indexOf(`/${slug}/`);
+    return index >= 0 ? pathname.slice(index + 1) : pathname.split('/').slice(-2).join('/');
+}
+
+// Helper: Storage key of a URL if it points into our storage, else null
+// Legacy imgur links and other external URLs return null.
+function getOwnKey(storage, url, slug) {
+    if (!url) return null;
+    try {
+        const key = getStorageKey(url, slug);
+        return storage.publicUrl(key) === url ? key : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Helper: Get every storage key belonging to an image entry
+function getImageKeys(image, slug) {
+    const urls = [image.url, image.thumb];
+    for (const size of image.sizes || []) {
+        for (const [key, value] of Object.entries(size)) {
+            if (key !== 'width' && key !== 'height') urls.push(value);
+        }
+    }
+    return [...new Set(urls.filter(Boolean).map(url => getStorageKey(url, slug)))];
+}
+
+// Helper: Hash file contents
+// Stored file names are derived from the hash so they never collide, and the
+// full hash is kept on the image entry to detect duplicate uploads.
+function hashFile(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Helper: Base name of an image's stored files, from its hash
+function getBaseName(hash) {
+    return hash.slice(0, 16);
+}
+
+// Image upload pipeline, shared by the admin server and the CLI
+// `derivatives` are the derivative ladder settings from the config and
+// `watermarker` draws the watermarks set in the processing settings.
+function createImageProcessor({ storage, derivatives, watermarker, uploadConcurrency = 4 }) {
+    // Helper: Upload files in parallel
+    // Don't leave a partial set of files behind if one of them fails.
+    async function uploadAll(uploads) {
+        const uploaded = [];
+        try {
+            await mapWithConcurrency(uploads, uploadConcurrency, async (item) => {
+                await storage.put(item.fileName, item.buffer, item.contentType);
+                uploaded.push(item.fileName);
+            });
+        } catch (err) {
+            for (const fileName of uploaded) {
+                try {
+                    await storage.delete(fileName);
+                } catch (e) {
+                    console.error('Error deleting from storage:', e.message);
+                }
+            }
+            throw err;
+        }
+    }
+
+    // Helper: Render the derivative ladder of an image
+    // Returns the files to upload, named `<slug>/<width>w/<baseName>.<format>`,
+    // and the `sizes`, `thumb`, inline `placeholder` and dominant `color` to
+    // record for them.
+    async function renderDerivatives(buffer, metadata, slug, baseName, processing, watermark) {
+        const rendered = await createDerivatives(buffer, metadata, derivatives, {
+            keepIccProfile: processing.color_space === 'tag',
+            getOverlay: isWatermarkActive(watermark) ? (width, height) => watermarker.getOverlay(watermark, width, height) : null
+        });
+
+        const uploads = [];
+        const sizes = [];
+        for (const derivative of rendered) {
+            const fileName = `${slug}/${derivative.width}w/${baseName}.${derivative.format}`;
+            uploads.push({ fileName, buffer: derivative.buffer, contentType: derivative.contentType });
+
+            let size = sizes.find(s => s.width === derivative.width);
+            if (!size) {
+                size = { width: derivative.width, height: derivative.height };
+                sizes.push(size);
+            }
+            size[derivative.format] = storage.publicUrl(fileName);
+        }
+
+        // The smallest derivative doubles as the grid thumbnail
+        const smallest = sizes[0];
+        const thumb = smallest.webp || Object.values(smallest).find(v => typeof v === 'string');
+        const { placeholder, color } = await createPlaceholder(buffer);
+        return { uploads, sizes, thumb, placeholder, color };
+    }
+
+    // Process an image and upload the original and derivatives
+    // The original is stored as JPEG; every width/format in the derivative
+    // ladder is stored under `<slug>/<width>w/` and recorded in the entry's
+    // `sizes`. Files are named after the first 16 hex digits of the upload's
+    // hash. `onState` is called as the image moves through decoding, resizing
+    // and uploading. A watermarked original is flagged with `watermarked`.
+    // The upload's own file name is kept as `file_name`, the key legacy
+    // entries already use.
+    async function processImage(slug, file, hash, processing, onState = () => {}) {
+        const baseName = getBaseName(hash);
+
+        // Get image dimensions and capture information
+        onState('decoding');
+        const metadata = await readMetadata(file.buffer);
+        const aspectRatio = Math.round((metadata.width / metadata.height) * 10000) / 10000;
+        const info = processing.extract_metadata ? readImageInfo(metadata) : {};
+
+        // Strip private metadata and normalize colour; non-JPEGs are converted
+        const watermark = processing.watermark;
+        const watermarkOriginal = isWatermarkActive(watermark) && watermark.original;
+        const originalOverlay = watermarkOriginal ? await watermarker.getOverlay(watermark, metadata.width, metadata.height) : null;
+        const originalBuffer = await prepareOriginal(file.buffer, file.mimetype, metadata, processing, originalOverlay);
+
+        // Generate derivatives
+        onState('resizing');
+        const { uploads, sizes, thumb, placeholder, color } = await renderDerivatives(file.buffer, metadata, slug, baseName, processing, watermark);
+
+        // Upload original and derivatives in parallel
+        onState('uploading');
+        const originalFileName = `${slug}/${baseName}.jpg`;
+        await uploadAll([{ fileName: originalFileName, buffer: originalBuffer, contentType: 'image/jpeg' }, ...uploads]);
+
+        return {
+            url: storage.publicUrl(originalFileName),
+            thumb,
+            placeholder,
+            color,
+            aspectRatio: aspectRatio,
+            width: metadata.width,
+            height: metadata.height,
+            sizes: sizes,
+            hash: hash,
+            ...(file.originalname ? { file_name: file.originalname } : {}),
+            ...(watermarkOriginal ? { watermarked: true } : {}),
+            ...info
+        };
+    }
+
+    // Helper: Render the derivatives of an image from its stored original
+    // An original that was watermarked when it was uploaded isn't
+    // watermarked again. Returns the files to upload and the entry fields
+    // describing the derivatives.
+    async function renderFromOriginal(buffer, image, slug, baseName, processing, onState) {
+        const metadata = await readMetadata(buffer);
+        onState('resizing');
+        const watermark = image.watermarked ? null : processing.watermark;
+        const { uploads, sizes, thumb, placeholder, color } = await renderDerivatives(buffer, metadata, slug, baseName, processing, watermark);
+        return {
+            uploads,
+            fields: {
+                thumb,
+                placeholder,
+                color,
+                aspectRatio: Math.round((metadata.width / metadata.height) * 10000) / 10000,
+                width: metadata.width,
+                height: metadata.height,
+                sizes
+            }
+        };
+    }
+
+    // Rebuild an image's derivatives from its stored original
+    // The derivatives are rendered with the current ladder and processing
+    // settings and uploaded under new names ending in `-<tag>`, so the old
+    // ones keep working until the album JSON points at the new ones.
+    // `onState` is called with downloading, resizing and uploading.
+    // Returns the updated entry.
+    async function regenerateImage(slug, image, processing, tag, onState = () => {}) {
+        const key = getOwnKey(storage, image.url, slug);
+        if (!key) {
+            throw new Error('The original is not in our storage');
+        }
+
+        onState('downloading');
+        const buffer = await storage.get(key);
+        const baseName = `${path.posix.basename(key, path.posix.extname(key))}-${tag}`;
+        const { uploads, fields } = await renderFromOriginal(buffer, image, slug, baseName, processing, onState);
+
+        onState('uploading');
+        await uploadAll(uploads);
+
+        return { ...image, ...fields };
+    }
+
+    // Store an original brought in from elsewhere (e.g. an album archive)
+    // The original is uploaded as it is and its derivatives are rendered
+    // with this site's ladder and `processing` settings. Files are named
+    // after the entry's hash like uploads, or the original's own hash if the
+    // entry has none, so duplicate checks and key lookups treat them alike.
+    // Returns the entry with its URLs pointing at this storage.
+    async function importOriginal(slug, image, buffer, processing, onState = () => {}) {
+        const { format } = await sharp(buffer).metadata();
+        const hash = image.hash || hashFile(buffer);
+        const baseName = getBaseName(hash);
+        const originalFileName = `${slug}/${baseName}.${format === 'jpeg' ? 'jpg' : format}`;
+        const { uploads, fields } = await renderFromOriginal(buffer, image, slug, baseName, processing, onState);
+
+        onState('uploading');
+        await uploadAll([{ fileName: originalFileName, buffer, contentType: `image/${format}` }, ...uploads]);
+
+        return { ...image, url: storage.publicUrl(originalFileName), hash, ...fields };
+    }
+
+    // Process every pending image of an upload job
+    // Images already handled (e.g. before the job was interrupted) are skipped. A
+    // failing image is marked as failed without stopping the rest of the batch.
+    // Byte-identical copies of an image already in `existingImages` or earlier in
+    // the batch are marked as duplicates and not uploaded.
+    // `processing` holds the album's image processing settings.
+    // Returns the entries of all successfully processed images, in upload order.
+    async function processJobImages(job, context, existingImages, processing) {
+        const knownHashes = new Map();
+        existingImages.forEach((image, index) => {
+            if (image.hash) knownHashes.set(image.hash, `image #${index}`);
+        });
+
+        for (let i = 0; i < job.images.length; i++) {
+            const image = job.images[i];
+            if (image.state === 'duplicate') continue;
+            if (image.state === 'done') {
+                knownHashes.set(image.result.hash, image.name);
+                continue;
+            }
+            context.checkCancelled();
+
+            try {
+                const file = context.readFile(i);
+                const hash = hashFile(file.buffer);
+                if (knownHashes.has(hash)) {
+                    context.setImageState(i, 'duplicate', { error: `Same file as ${knownHashes.get(hash)}` });
+                    continue;
+                }
+
+                const entry = await processImage(job.slug, file, hash, processing, state => {
+                    context.setImageState(i, state);
+                });
+                knownHashes.set(hash, image.name);
+                context.setImageState(i, 'done', { result: entry });
+            } catch (err) {
+                console.error(`Error processing ${image.name}:`, err.message);
+                context.setImageState(i, 'failed', { error: err.message });
+            }
+        }
+
+        const entries = job.images.filter(image => image.state === 'done').map(image => image.result);
+        if (entries.length === 0 && job.images.some(image => image.state === 'failed')) {
+            throw new Error('None of the images could be processed');
+        }
+        return entries;
+    }
+
+    return {
+        processImage,
+        processJobImages,
+        regenerateImage,
+        importOriginal
+    };
+}
+
+module.exports = {
+    getStorageKey,
+    getOwnKey,
+    getImageKeys,
+    hashFile,
+    createImageProcessor
+};
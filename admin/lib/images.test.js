@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, createTestSite, createTestJpeg } = require('../test/fixtures');
+const { getImageKeys, hashFile } = require('./images');
+const { getProcessingSettings } = require('./metadata');
+
+// Helper: An upload job holding the given files, and the context its runner
+// is given by the job queue
+function createJob(slug, files) {
+    const job = {
+        slug,
+        images: files.map((buffer, index) => ({ name: `shot${index}.jpg`, mimetype: 'image/jpeg', state: 'queued' }))
+    };
+    const context = {
+        readFile: index => ({ originalname: job.images[index].name, mimetype: 'image/jpeg', buffer: files[index] }),
+        setImageState(index, state, extra = {}) {
+            Object.assign(job.images[index], { state, error: '' }, extra);
+        },
+        checkCancelled() {}
+    };
+    return { job, context };
+}
+
+test('stored files are named after the upload hash and copies are skipped', async (t) => {
+    const { storage, imageProcessor } = createTestSite(createTempDir(t, 'images'));
+    const red = await createTestJpeg('#ff0000');
+    const blue = await createTestJpeg('#0000ff');
+    const green = await createTestJpeg('#00ff00');
+    const processing = getProcessingSettings();
+
+    const existing = await imageProcessor.processImage('album', { mimetype: 'image/jpeg', buffer: red }, hashFile(red), processing);
+    assert.equal(existing.url, `https://cdn.example.com/album/${hashFile(red).slice(0, 16)}.jpg`);
+
+    const { job, context } = createJob('album', [blue, red, blue, green]);
+    const entries = await imageProcessor.processJobImages(job, context, [existing], processing);
+
+    assert.deepEqual(job.images.map(image => image.state), ['done', 'duplicate', 'duplicate', 'done']);
+    assert.equal(job.images[1].error, 'Same file as image #0');
+    assert.equal(job.images[2].error, 'Same file as shot0.jpg');
+    assert.deepEqual(entries.map(entry => entry.hash), [hashFile(blue), hashFile(green)]);
+    assert.equal(entries[0].file_name, 'shot0.jpg');
+    for (const key of getImageKeys(entries[1], 'album')) {
+        assert.ok(key.includes(hashFile(green).slice(0, 16)), key);
+        assert.ok((await storage.get(key)).length > 0, key);
+    }
+});
+
+test('a resumed job keeps its finished images and still skips copies of them', async (t) => {
+    const { imageProcessor } = createTestSite(createTempDir(t, 'images'));
+    t.mock.method(console, 'error', () => {});
+    const blue = await createTestJpeg('#0000ff');
+    const processing = getProcessingSettings();
+
+    const { job, context } = createJob('album', [blue, Buffer.from('not an image'), blue]);
+    const first = await imageProcessor.processJobImages(job, context, [], processing);
+    assert.deepEqual(job.images.map(image => image.state), ['done', 'failed', 'duplicate']);
+
+    // Failed and waiting images are tried again; finished ones are kept
+    job.images[2].state = 'queued';
+    const second = await imageProcessor.processJobImages(job, context, [], processing);
+    assert.deepEqual(job.images.map(image => image.state), ['done', 'failed', 'duplicate']);
+    assert.equal(job.images[2].error, 'Same file as shot0.jpg');
+    assert.deepEqual(second, first);
+});
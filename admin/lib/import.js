@@ -0,0 +1,110 @@
+const path = require('path');
+const fs = require('fs');
+const { getImageKeys, hashFile } = require('./images');
+const { runTransaction } = require('./transaction');
+
+// Image files picked up by an import and their types; the upload form
+// accepts the same ones
+const IMPORT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp'
+};
+
+// Images are added to the album in batches, so an interrupted import loses
+// at most one batch of work
+const IMPORT_BATCH_SIZE = 10;
+
+// Helper: Image files in a folder and its subfolders
+// Returns paths relative to `folder` in natural order ("capture 2" before
+// "capture 10"). Hidden files and folders are skipped.
+function findImageFiles(folder) {
+    const files = [];
+    function walk(dir) {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.name.startsWith('.')) continue;
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(fullPath);
+            } else if (entry.isFile() && IMPORT_TYPES[path.extname(entry.name).toLowerCase()]) {
+                files.push(path.relative(folder, fullPath));
+            }
+        }
+    }
+    walk(folder);
+    return files.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// Import a folder of images into an album
+// Every image file under `folder` (or the given `files` relative to it, in
+// that order) is read one at a time, run through the normal upload pipeline
+// with the album's `processing` settings and appended after `images` (the
+// album's current entries). Each batch is committed as a
+// transaction: `stageAlbum(tx, images)` stages the album files for all
+// entries so far, and a batch that can't be committed has its uploads
+// deleted. Files whose contents are already in the album are skipped, so
+// running the same import again resumes an interrupted one. `shouldStop()`
+// is checked before each image.
+//
+// Returns { files, imported, skipped: [{ file, reason }],
+// failed: [{ file, error }], stopped }.
+async function importFolder({ folder, files = findImageFiles(folder), slug, images, processing, storage, imageProcessor, stageAlbum, shouldStop = () => false, log = () => {} }) {
+    const report = { files: files.length, imported: 0, skipped: [], failed: [], stopped: false };
+
+    const knownHashes = new Map();
+    images.forEach((image, index) => {
+        if (image.hash) knownHashes.set(image.hash, `image #${index} of the album`);
+    });
+
+    let current = [...images];
+    for (let start = 0; start < files.length && !report.stopped; start += IMPORT_BATCH_SIZE) {
+        const batch = files.slice(start, start + IMPORT_BATCH_SIZE);
+        const entries = [];
+        await runTransaction(storage, async tx => {
+            for (const [n, file] of batch.entries()) {
+                if (shouldStop()) {
+                    report.stopped = true;
+                    break;
+                }
+                const position = `[${start + n + 1}/${files.length}]`;
+                try {
+                    const buffer = await fs.promises.readFile(path.join(folder, file));
+                    const hash = hashFile(buffer);
+                    if (knownHashes.has(hash)) {
+                        const reason = `same file as ${knownHashes.get(hash)}`;
+                        report.skipped.push({ file, reason });
+                        log(`${position} ${file}: skipped, ${reason}`);
+                        continue;
+                    }
+
+                    const upload = {
+                        originalname: path.basename(file),
+                        mimetype: IMPORT_TYPES[path.extname(file).toLowerCase()],
+                        buffer
+                    };
+                    const entry = await imageProcessor.processImage(slug, upload, hash, processing);
+                    getImageKeys(entry, slug).forEach(key => tx.trackUpload(key));
+                    knownHashes.set(hash, file);
+                    entries.push(entry);
+                    log(`${position} ${file}`);
+                } catch (err) {
+                    report.failed.push({ file, error: err.message });
+                    log(`${position} ${file}: failed, ${err.message}`);
+                }
+            }
+            if (entries.length > 0) {
+                await stageAlbum(tx, [...current, ...entries]);
+            }
+        });
+        current = [...current, ...entries];
+        report.imported += entries.length;
+    }
+    return report;
+}
+
+module.exports = {
+    IMPORT_TYPES,
+    findImageFiles,
+    importFolder
+};
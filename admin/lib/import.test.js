@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { createTempDir, createTestSite, createTestJpeg } = require('../test/fixtures');
+const { getProcessingSettings } = require('./metadata');
+const { findImageFiles, importFolder } = require('./import');
+
+// Helper: A capture folder with subfolders, hidden files and non-images,
+// and an album data file to import it into
+async function setup(t) {
+    const tmp = createTempDir(t, 'import');
+    const folder = path.join(tmp, 'captures');
+    const colors = { 'shot 2.jpg': '#ff0000', 'shot 10.jpg': '#00ff00', 'day 2/shot 1.png': '#0000ff', 'copy.jpg': '#ff0000' };
+    for (const [file, color] of Object.entries(colors)) {
+        fs.mkdirSync(path.dirname(path.join(folder, file)), { recursive: true });
+        fs.writeFileSync(path.join(folder, file), await createTestJpeg(color));
+    }
+    fs.writeFileSync(path.join(folder, 'notes.txt'), 'not an image');
+    fs.mkdirSync(path.join(folder, '.thumbnails'));
+    fs.writeFileSync(path.join(folder, '.thumbnails', 'shot.jpg'), await createTestJpeg());
+
+    const dataPath = path.join(tmp, 'album.json');
+    fs.writeFileSync(dataPath, '[]');
+    const { storage, imageProcessor } = createTestSite(tmp);
+    const options = {
+        folder,
+        slug: 'album',
+        processing: getProcessingSettings(),
+        storage,
+        imageProcessor,
+        stageAlbum: (tx, images) => tx.writeFile(dataPath, JSON.stringify(images))
+    };
+    const readImages = () => JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+    return { folder, options, readImages };
+}
+
+test('image files are found in subfolders in natural order', async (t) => {
+    const { folder } = await setup(t);
+    assert.deepEqual(findImageFiles(folder), ['copy.jpg', path.join('day 2', 'shot 1.png'), 'shot 2.jpg', 'shot 10.jpg']);
+});
+
+test('an interrupted import resumes where it stopped', async (t) => {
+    const { options, readImages } = await setup(t);
+
+    let checks = 0;
+    const first = await importFolder({ ...options, images: readImages(), shouldStop: () => ++checks > 2 });
+    assert.equal(first.stopped, true);
+    assert.equal(first.imported, 2);
+    assert.deepEqual(readImages().map(image => image.file_name), ['copy.jpg', 'shot 1.png']);
+
+    // Running it again skips what is already in the album, including copies
+    const second = await importFolder({ ...options, images: readImages() });
+    assert.equal(second.stopped, false);
+    assert.equal(second.imported, 1);
+    assert.deepEqual(second.skipped.map(item => item.file), ['copy.jpg', path.join('day 2', 'shot 1.png'), 'shot 2.jpg']);
+    assert.equal(second.skipped[2].reason, 'same file as image #0 of the album');
+    assert.deepEqual(readImages().map(image => image.file_name), ['copy.jpg', 'shot 1.png', 'shot 10.jpg']);
+});
+
+test('files that fail are reported without losing the rest of the batch', async (t) => {
+    const { folder, options, readImages } = await setup(t);
+    fs.writeFileSync(path.join(folder, 'broken.jpg'), 'not an image');
+
+    const report = await importFolder({ ...options, images: readImages() });
+    assert.deepEqual(report.failed.map(item => item.file), ['broken.jpg']);
+    assert.equal(report.imported, 3);
+    assert.equal(readImages().length, 3);
+});
@@ -0,0 +1,334 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Image states reported while a job runs
+// 'duplicate' marks an image skipped because the album already has it;
+// 'downloading' is used by jobs that work on images already in storage.
+const IMAGE_STATES = ['pending', 'downloading', 'decoding', 'resizing', 'uploading', 'done', 'failed', 'duplicate'];
+const FINISHED_IMAGE_STATES = ['done', 'failed', 'duplicate'];
+
+// Job states
+// queued -> running -> done | failed | cancelled
+// Jobs that were queued or running when the server stopped come back as
+// 'interrupted' and can be resumed or cancelled.
+const FINISHED_STATES = ['done', 'failed', 'cancelled'];
+
+// Helper: Whether a job still holds on to its album
+// Unfinished jobs do, and so do failed ones that can be resumed: what they
+// uploaded isn't in the album JSON yet and is needed when they resume. They
+// let go once resumed to completion or cancelled.
+function holdsAlbum(job, jobDir) {
+    if (!FINISHED_STATES.includes(job.status)) return true;
+    return job.status === 'failed' && fs.existsSync(path.join(jobDir, 'files'));
+}
+
+class JobCancelledError extends Error {
+    constructor() {
+        super('Job cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+// Background job queue
+// Jobs run one at a time. Each job's state is persisted to `<dir>/<id>/job.json`
+// and its uploaded files to `<dir>/<id>/files/`, so progress survives page
+// reloads and server restarts.
+//
+// `runners` maps a job type to { run(job, context), cancel(job) }. run() is
+// called with a context offering setImageState(index, state, extra) and
+// checkCancelled(); cancel() cleans up after a cancelled job.
+function createJobQueue({ dir, runners }) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+
+    const jobs = new Map();
+    const queue = [];
+    let running = false;
+
+    // Helper: Job paths
+    function getJobDir(id) {
+        return path.join(dir, id);
+    }
+
+    function getFilePath(job, index) {
+        return path.join(getJobDir(job.id), 'files', String(index).padStart(4, '0'));
+    }
+
+    // Helper: Persist job state and notify subscribers
+    function save(job) {
+        job.updatedAt = new Date().toISOString();
+        const { cancelRequested, ...state } = job;
+        fs.writeFileSync(path.join(getJobDir(job.id), 'job.json'), JSON.stringify(state, null, 2));
+        emitter.emit(job.id, toJSON(job));
+    }
+
+    // Helper: Public view of a job
+    function toJSON(job) {
+        const counts = {};
+        for (const state of IMAGE_STATES) counts[state] = 0;
+        for (const image of job.images) counts[image.state]++;
+
+        return {
+            id: job.id,
+            type: job.type,
+            slug: job.slug,
+            status: job.status,
+            message: job.message || '',
+            error: job.error || '',
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            total: job.images.length,
+            finished: job.images.filter(image => FINISHED_IMAGE_STATES.includes(image.state)).length,
+            counts,
+            images: job.images.map(image => ({
+                name: image.name,
+                state: image.state,
+                error: image.error || ''
+            }))
+        };
+    }
+
+    // Load jobs left over from previous runs
+    function load() {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+            return;
+        }
+        for (const id of fs.readdirSync(dir)) {
+            const jobPath = path.join(getJobDir(id), 'job.json');
+            if (!fs.existsSync(jobPath)) continue;
+            try {
+                const job = JSON.parse(fs.readFileSync(jobPath, 'utf8'));
+                if (job.status === 'queued' || job.status === 'running') {
+                    job.status = 'interrupted';
+                    save(job);
+                }
+                jobs.set(job.id, job);
+            } catch (e) {
+                console.error(`Error loading job ${id}:`, e.message);
+            }
+        }
+    }
+
+    // Create a job from uploaded files and queue it
+    // Jobs working on stored images pass entries without a `buffer` and with
+    // a `source` (e.g. the image URL), which the runner finds on job.images.
+    function create(type, slug, params, files) {
+        if (!runners[type]) {
+            throw new Error(`Unknown job type "${type}"`);
+        }
+
+        const id = crypto.randomBytes(8).toString('hex');
+        const job = {
+            id,
+            type,
+            slug,
+            params,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            images: files.map(file => ({
+                name: file.originalname,
+                mimetype: file.mimetype,
+                ...(file.source ? { source: file.source } : {}),
+                state: 'pending'
+            }))
+        };
+
+        fs.mkdirSync(path.join(getJobDir(id), 'files'), { recursive: true });
+        files.forEach((file, index) => {
+            if (file.buffer) fs.writeFileSync(getFilePath(job, index), file.buffer);
+        });
+
+        jobs.set(id, job);
+        save(job);
+        enqueue(job);
+        return toJSON(job);
+    }
+
+    // Helper: Read an uploaded file back in the shape multer provides
+    function readFile(job, index) {
+        const image = job.images[index];
+        return {
+            originalname: image.name,
+            mimetype: image.mimetype,
+            buffer: fs.readFileSync(getFilePath(job, index))
+        };
+    }
+
+    // Helper: Remove a finished job's uploaded files
+    function removeFiles(job) {
+        fs.rmSync(path.join(getJobDir(job.id), 'files'), { recursive: true, force: true });
+    }
+
+    function enqueue(job) {
+        queue.push(job.id);
+        processNext();
+    }
+
+    async function processNext() {
+        if (running || queue.length === 0) return;
+        running = true;
+
+        const job = jobs.get(queue.shift());
+        try {
+            if (job && job.status === 'queued') {
+                await runJob(job);
+            }
+        } finally {
+            running = false;
+            processNext();
+        }
+    }
+
+    async function runJob(job) {
+        const runner = runners[job.type];
+        job.status = 'running';
+        job.error = '';
+        save(job);
+
+        const context = {
+            readFile: index => readFile(job, index),
+            setImageState(index, state, extra = {}) {
+                Object.assign(job.images[index], { state, error: '' }, extra);
+                save(job);
+            },
+            checkCancelled() {
+                if (job.cancelRequested) {
+                    throw new JobCancelledError();
+                }
+            }
+        };
+
+        try {
+            job.message = await runner.run(job, context);
+            job.status = 'done';
+            removeFiles(job);
+        } catch (err) {
+            if (err instanceof JobCancelledError) {
+                await cleanupCancelled(job);
+            } else {
+                console.error(`Job ${job.id} failed:`, err);
+                job.status = 'failed';
+                job.error = err.message;
+            }
+        }
+        save(job);
+    }
+
+    async function cleanupCancelled(job) {
+        try {
+            if (runners[job.type].cancel) {
+                await runners[job.type].cancel(job);
+            }
+        } catch (e) {
+            console.error(`Error cleaning up job ${job.id}:`, e.message);
+        }
+        job.status = 'cancelled';
+        job.message = 'Cancelled';
+        removeFiles(job);
+    }
+
+    // Cancel a job and clean up its uploads. Running jobs stop after the image
+    // in progress.
+    async function cancel(id) {
+        const job = jobs.get(id);
+        if (!job) return null;
+
+        if (job.status === 'running') {
+            job.cancelRequested = true;
+        } else if (job.status !== 'done' && job.status !== 'cancelled') {
+            await cleanupCancelled(job);
+            save(job);
+        }
+        return toJSON(job);
+    }
+
+    // Resume an interrupted or failed job, skipping images already handled
+    function resume(id) {
+        const job = jobs.get(id);
+        if (!job) return null;
+
+        if (job.status === 'interrupted' || job.status === 'failed') {
+            if (!fs.existsSync(path.join(getJobDir(job.id), 'files'))) {
+                throw new Error('Uploaded files for this job are no longer available');
+            }
+            job.images.forEach(image => {
+                if (image.state !== 'done' && image.state !== 'duplicate') image.state = 'pending';
+            });
+            job.cancelRequested = false;
+            job.status = 'queued';
+            save(job);
+            enqueue(job);
+        }
+        return toJSON(job);
+    }
+
+    function get(id) {
+        const job = jobs.get(id);
+        return job ? toJSON(job) : null;
+    }
+
+    function list() {
+        return [...jobs.values()]
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(toJSON);
+    }
+
+    // Helper: Whether an unfinished or resumable job is working on an album
+    function hasActiveJob(slug) {
+        return [...jobs.values()].some(job => job.slug === slug && holdsAlbum(job, getJobDir(job.id)));
+    }
+
+    // Slugs of albums a job holds on to (see hasActiveJob)
+    function getBusySlugs() {
+        return new Set([...jobs.values()].filter(job => holdsAlbum(job, getJobDir(job.id))).map(job => job.slug));
+    }
+
+    // Subscribe to updates of one job. Returns an unsubscribe function.
+    function subscribe(id, listener) {
+        emitter.on(id, listener);
+        return () => emitter.off(id, listener);
+    }
+
+    load();
+
+    return {
+        create,
+        cancel,
+        resume,
+        get,
+        list,
+        hasActiveJob,
+        getBusySlugs,
+        subscribe,
+        isFinished: status => FINISHED_STATES.includes(status)
+    };
+}
+
+// Slugs with an unfinished or resumable upload job, read straight from the
+// job files. Lets tools outside the server (the CLI) avoid albums a job is
+// still writing to; objects such a job uploaded aren't in the album JSON yet.
+function listBusySlugs(dir) {
+    const slugs = new Set();
+    if (!fs.existsSync(dir)) return slugs;
+    for (const id of fs.readdirSync(dir)) {
+        const jobPath = path.join(dir, id, 'job.json');
+        if (!fs.existsSync(jobPath)) continue;
+        try {
+            const job = JSON.parse(fs.readFileSync(jobPath, 'utf8'));
+            if (holdsAlbum(job, path.join(dir, id))) slugs.add(job.slug);
+        } catch (e) {
+            console.error(`Error reading job ${id}:`, e.message);
+        }
+    }
+    return slugs;
+}
+
+module.exports = {
+    IMAGE_STATES,
+    JobCancelledError,
+    createJobQueue,
+    listBusySlugs
+};
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { createTempDir } = require('../test/fixtures');
+const { createJobQueue, listBusySlugs } = require('./jobs');
+
+// Helper: A job queue in a temporary directory
+// The "upload" runner fails while `failing` is set, like a storage outage.
+function setup(t) {
+    const dir = createTempDir(t, 'jobs');
+    t.mock.method(console, 'error', () => {});
+    const state = { failing: true, cancelled: [] };
+    const runners = {
+        upload: {
+            async run(job, context) {
+                if (state.failing) throw new Error('Storage unavailable');
+                job.images.forEach((image, index) => context.setImageState(index, 'done'));
+                return 'Uploaded';
+            },
+            async cancel(job) {
+                state.cancelled.push(job.id);
+            }
+        }
+    };
+    return { dir, state, jobs: createJobQueue({ dir, runners }) };
+}
+
+// Helper: Wait until a job has finished
+function waitFor(jobs, id) {
+    return new Promise((resolve) => {
+        const check = (job) => {
+            if (!jobs.isFinished(job.status)) return;
+            unsubscribe();
+            resolve(job);
+        };
+        const unsubscribe = jobs.subscribe(id, check);
+        check(jobs.get(id));
+    });
+}
+
+const FILES = [{ originalname: 'one.jpg', mimetype: 'image/jpeg', buffer: Buffer.from('one') }];
+
+test('failed jobs keep their album busy until resumed to completion', async (t) => {
+    const { dir, state, jobs } = setup(t);
+    const { id } = jobs.create('upload', 'album', {}, FILES);
+
+    const failed = await waitFor(jobs, id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'Storage unavailable');
+    assert.equal(jobs.hasActiveJob('album'), true);
+    assert.deepEqual([...jobs.getBusySlugs()], ['album']);
+    assert.deepEqual([...listBusySlugs(dir)], ['album']);
+
+    state.failing = false;
+    jobs.resume(id);
+    const done = await waitFor(jobs, id);
+    assert.equal(done.status, 'done');
+    assert.equal(done.counts.done, 1);
+    assert.equal(jobs.hasActiveJob('album'), false);
+    assert.equal(listBusySlugs(dir).size, 0);
+    assert.equal(fs.existsSync(path.join(dir, id, 'files')), false);
+});
+
+test('cancelling a failed job releases its album', async (t) => {
+    const { dir, state, jobs } = setup(t);
+    const { id } = jobs.create('upload', 'album', {}, FILES);
+    await waitFor(jobs, id);
+
+    const cancelled = await jobs.cancel(id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.deepEqual(state.cancelled, [id]);
+    assert.equal(jobs.hasActiveJob('album'), false);
+    assert.equal(listBusySlugs(dir).size, 0);
+});
+
+test('failed jobs whose files are gone no longer hold their album', async (t) => {
+    const { dir, jobs } = setup(t);
+    const { id } = jobs.create('upload', 'album', {}, FILES);
+    await waitFor(jobs, id);
+
+    fs.rmSync(path.join(dir, id, 'files'), { recursive: true });
+    assert.equal(jobs.hasActiveJob('album'), false);
+    assert.equal(listBusySlugs(dir).size, 0);
+    assert.throws(() => jobs.resume(id), /no longer available/);
+});
+
+test('jobs running when the server stopped come back interrupted', async (t) => {
+    const { dir } = setup(t);
+    const jobDir = path.join(dir, 'abc');
+    fs.mkdirSync(path.join(jobDir, 'files'), { recursive: true });
+    fs.writeFileSync(path.join(jobDir, 'job.json'), JSON.stringify({
+        id: 'abc', type: 'upload', slug: 'album', status: 'running', createdAt: new Date().toISOString(), images: []
+    }));
+
+    const jobs = createJobQueue({ dir, runners: { upload: { run: async () => '' } } });
+    assert.equal(jobs.get('abc').status, 'interrupted');
+    assert.equal(jobs.hasActiveJob('album'), true);
+    assert.deepEqual([...listBusySlugs(dir)], ['album']);
+});
@@ -0,0 +1,209 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const icc = require('icc');
+const { getWatermarkSettings } = require('./watermark');
+
+// Default image processing settings
+// Set defaults under `processing` in .admin-config.json; albums override them
+// with a `processing` map in their post's front matter.
+//   extract_metadata  record capture date, software, camera and colour profile
+//                     in the album JSON
+//   strip_metadata    remove EXIF, XMP and IPTC (location, serial numbers,
+//                     user names...) from the stored original
+//   color_space       'srgb' converts images with another colour profile to
+//                     sRGB; 'tag' keeps the profile and embeds it in every
+//                     derivative so browsers can colour-manage them
+//   watermark         text or PNG signature added to images (see watermark.js)
+const DEFAULT_PROCESSING = {
+    extract_metadata: true,
+    strip_metadata: true,
+    color_space: 'srgb',
+    watermark: getWatermarkSettings()
+};
+
+const COLOR_SPACES = ['srgb', 'tag'];
+
+// JPEG markers removed when stripping metadata: APP1 (EXIF, XMP),
+// APP13 (IPTC) and comments. APP2 holds the ICC profile.
+const APP1 = 0xe1;
+const APP2 = 0xe2;
+const APP13 = 0xed;
+const COM = 0xfe;
+const SOS = 0xda;
+
+// Helper: Merge processing settings with defaults
+// Unknown keys and invalid values are ignored.
+function getProcessingSettings(...overrides) {
+    const settings = { ...DEFAULT_PROCESSING };
+    for (const override of overrides) {
+        if (!override) continue;
+        for (const key of ['extract_metadata', 'strip_metadata']) {
+            if (typeof override[key] === 'boolean') settings[key] = override[key];
+        }
+        if (COLOR_SPACES.includes(override.color_space)) {
+            settings.color_space = override.color_space;
+        }
+        if (override.watermark) {
+            settings.watermark = getWatermarkSettings(settings.watermark, override.watermark);
+        }
+    }
+    return settings;
+}
+
+// Helper: The settings in `settings` that differ from `defaults`
+// Albums only store their overrides, so changing a default in the config
+// still applies to albums that never changed it. The watermark only keeps
+// the keys that differ too.
+function getProcessingOverrides(settings, defaults) {
+    const overrides = {};
+    for (const [key, value] of Object.entries(getProcessingSettings(settings))) {
+        if (key === 'watermark') {
+            const watermark = {};
+            for (const [name, setting] of Object.entries(value)) {
+                if (setting !== defaults.watermark[name]) watermark[name] = setting;
+            }
+            if (Object.keys(watermark).length > 0) overrides.watermark = watermark;
+        } else if (value !== defaults[key]) {
+            overrides[key] = value;
+        }
+    }
+    return overrides;
+}
+
+// Helper: Format an EXIF date as local time ("2024-06-29T04:30:13")
+// EXIF dates have no time zone; exif-reader returns them as UTC.
+function formatExifDate(date) {
+    if (!(date instanceof Date) || isNaN(date)) return null;
+    return date.toISOString().slice(0, 19);
+}
+
+// Helper: Description of an embedded ICC profile
+function getProfileName(metadata) {
+    if (!metadata.icc) return null;
+    try {
+        return icc.parse(metadata.icc).description || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Helper: Whether an image has a colour profile other than sRGB
+function hasNonSrgbProfile(metadata) {
+    const profile = getProfileName(metadata);
+    return !!profile && !/srgb|iec\s*61966-2[.-]1/i.test(profile);
+}
+
+// Read capture information from sharp metadata
+// Returns only the fields present, e.g.
+// { captureDate, software, camera, colorProfile }
+function readImageInfo(metadata) {
+    const info = {};
+
+    if (metadata.exif) {
+        try {
+            const exif = exifReader(metadata.exif);
+            const image = exif.Image || {};
+            const photo = exif.Photo || {};
+            const captureDate = formatExifDate(photo.DateTimeOriginal || photo.DateTimeDigitized || image.DateTime);
+            if (captureDate) info.captureDate = captureDate;
+            if (image.Software) info.software = String(image.Software).trim();
+            const camera = [image.Make, image.Model].filter(Boolean).join(' ').trim();
+            if (camera) info.camera = camera;
+        } catch (e) {
+            console.error('Error reading EXIF:', e.message);
+        }
+    }
+
+    const profile = getProfileName(metadata);
+    if (profile) info.colorProfile = profile;
+
+    return info;
+}
+
+// Helper: Remove metadata segments from a JPEG without re-encoding it
+// The ICC profile is kept when `keepIcc` is set. Returns null if the file
+// can't be parsed, so the caller can fall back to re-encoding.
+function stripJpegMetadata(buffer, keepIcc) {
+    if (buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+    const parts = [buffer.subarray(0, 2)];
+    let offset = 2;
+    while (offset < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        // Fill bytes before a marker
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        // Image data follows the start-of-scan segment; copy the rest as is
+        if (marker === SOS) {
+            parts.push(buffer.subarray(offset));
+            return Buffer.concat(parts);
+        }
+        if (offset + 4 > buffer.length) return null;
+        const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+        if (end > buffer.length) return null;
+
+        const isIcc = marker === APP2 && buffer.toString('latin1', offset + 4, offset + 15) === 'ICC_PROFILE';
+        const remove = marker === APP1 || marker === APP13 || marker === COM || (marker === APP2 && !(keepIcc && isIcc));
+        if (!remove) {
+            parts.push(buffer.subarray(offset, end));
+        }
+        offset = end;
+    }
+    return null;
+}
+
+// Read an image's metadata, with the size it is displayed at
+// EXIF orientations 5-8 turn the image a quarter turn, so its width and
+// height are swapped. Every pipeline auto-orients with rotate() to match.
+async function readMetadata(buffer) {
+    const metadata = await sharp(buffer).metadata();
+    if (metadata.orientation >= 5) {
+        return { ...metadata, width: metadata.height, height: metadata.width };
+    }
+    return metadata;
+}
+
+// Prepare the stored original according to the processing settings
+// JPEGs are kept byte-for-byte where possible: metadata is stripped without
+// re-encoding, and only images that need a colour conversion are re-encoded.
+// Other formats are converted to JPEG. An `overlay` (a sharp composite input,
+// e.g. a watermark) also forces a re-encode, as does an EXIF orientation:
+// the pixels are turned upright, since stripping would drop the tag.
+async function prepareOriginal(buffer, mimetype, metadata, settings, overlay = null) {
+    const convertColor = settings.color_space === 'srgb' && hasNonSrgbProfile(metadata);
+    const rotated = metadata.orientation > 1;
+
+    if (mimetype === 'image/jpeg' && !convertColor && !overlay && !rotated) {
+        if (!settings.strip_metadata) return buffer;
+        const stripped = stripJpegMetadata(buffer, true);
+        if (stripped) return stripped;
+    }
+
+    let pipeline = sharp(buffer).rotate();
+    if (convertColor) {
+        pipeline = pipeline.withIccProfile('srgb');
+    } else if (metadata.icc) {
+        pipeline = pipeline.keepIccProfile();
+    }
+    if (!settings.strip_metadata) {
+        pipeline = pipeline.keepExif();
+    }
+    if (overlay) {
+        pipeline = pipeline.composite([overlay]);
+    }
+    return pipeline.jpeg({ quality: 95 }).toBuffer();
+}
+
+module.exports = {
+    DEFAULT_PROCESSING,
+    COLOR_SPACES,
+    getProcessingSettings,
+    getProcessingOverrides,
+    readImageInfo,
+    stripJpegMetadata,
+    readMetadata,
+    prepareOriginal
+};
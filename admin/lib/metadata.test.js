@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { getProcessingSettings, readMetadata, prepareOriginal, stripJpegMetadata } = require('./metadata');
+const { createDerivatives, createPlaceholder } = require('./derivatives');
+
+// Helper: A 60x40 JPEG, left half red and right half blue, stored with an
+// EXIF orientation: 6 means it displays turned a quarter clockwise (40x60)
+async function createJpeg(orientation) {
+    const red = { r: 255, g: 0, b: 0 };
+    const blue = { r: 0, g: 0, b: 255 };
+    const right = await sharp({ create: { width: 30, height: 40, channels: 3, background: blue } }).png().toBuffer();
+    let image = sharp({ create: { width: 60, height: 40, channels: 3, background: red } })
+        .composite([{ input: right, left: 30, top: 0 }])
+        .jpeg({ quality: 95 });
+    if (orientation) image = image.withMetadata({ orientation });
+    return image.toBuffer();
+}
+
+// Helper: Colour at a point of an image, as shown upright
+async function colorAt(buffer, x, y) {
+    const { data, info } = await sharp(buffer).rotate().raw().toBuffer({ resolveWithObject: true });
+    const offset = (y * info.width + x) * info.channels;
+    return data[offset] > 128 ? 'red' : data[offset + 2] > 128 ? 'blue' : 'other';
+}
+
+test('rotated photos are measured upright', async () => {
+    const metadata = await readMetadata(await createJpeg(6));
+    assert.deepEqual([metadata.width, metadata.height, metadata.orientation], [40, 60, 6]);
+
+    const plain = await readMetadata(await createJpeg());
+    assert.deepEqual([plain.width, plain.height], [60, 40]);
+});
+
+test('stripped originals are turned upright instead of losing their orientation', async () => {
+    const buffer = await createJpeg(6);
+    const metadata = await readMetadata(buffer);
+
+    for (const strip of [true, false]) {
+        const original = await prepareOriginal(buffer, 'image/jpeg', metadata, getProcessingSettings({ strip_metadata: strip }));
+        const stored = await sharp(original).metadata();
+        assert.deepEqual([stored.width, stored.height], [40, 60]);
+        assert.ok(!stored.orientation || stored.orientation === 1);
+        // The red left half is at the top once turned clockwise
+        assert.equal(await colorAt(original, 20, 5), 'red');
+        assert.equal(await colorAt(original, 20, 55), 'blue');
+    }
+});
+
+test('upright JPEGs are stripped without re-encoding', async () => {
+    const buffer = await createJpeg();
+    const original = await prepareOriginal(buffer, 'image/jpeg', await readMetadata(buffer), getProcessingSettings({ strip_metadata: true }));
+    assert.ok(original.equals(stripJpegMetadata(buffer, true)));
+});
+
+test('derivatives and placeholders of rotated photos are upright', async () => {
+    const buffer = await createJpeg(6);
+    const [derivative] = await createDerivatives(buffer, await readMetadata(buffer), { widths: [20], formats: ['webp'] });
+    const rendered = await sharp(derivative.buffer).metadata();
+    assert.deepEqual([derivative.width, derivative.height], [20, 30]);
+    assert.deepEqual([rendered.width, rendered.height], [20, 30]);
+    assert.equal(await colorAt(derivative.buffer, 10, 2), 'red');
+
+    const { placeholder } = await createPlaceholder(buffer);
+    const tiny = await sharp(Buffer.from(placeholder.split(',')[1], 'base64')).metadata();
+    assert.ok(tiny.height > tiny.width);
+});
@@ -0,0 +1,142 @@
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+const { getImageKeys, hashFile } = require('./images');
+const { runTransaction } = require('./transaction');
+
+// Keys of the old imgur schema, replaced by url/thumb/aspectRatio/width/height
+const LEGACY_KEYS = ['imageFull-link', 'thumbnail-link', 'image1080-link', 'aspect-ratio'];
+
+// Helper: Whether an image entry still uses the old schema
+function isLegacyImage(image) {
+    return !image.url && !!image['imageFull-link'];
+}
+
+// Where legacy images are downloaded from
+// `source` is a local mirror directory holding the files under their imgur
+// file names (e.g. "fMXqIlA.jpeg"), a base URL they are served from, or
+// empty to download from the original URLs.
+function createImageSource(source) {
+    const fileName = url => path.basename(new URL(url).pathname);
+
+    if (source && !/^https?:\/\//.test(source)) {
+        const dir = path.resolve(source);
+        if (!fs.existsSync(dir)) {
+            throw new Error(`Source directory ${dir} does not exist`);
+        }
+        return {
+            description: `mirror directory ${dir}`,
+            async exists(url) {
+                return fs.existsSync(path.join(dir, fileName(url)));
+            },
+            async read(url) {
+                return fs.promises.readFile(path.join(dir, fileName(url)));
+            }
+        };
+    }
+
+    const resolve = url => (source ? `${source.replace(/\/$/, '')}/${fileName(url)}` : url);
+    return {
+        description: source ? `mirror ${source}` : 'original URLs',
+        async exists(url) {
+            const response = await fetch(resolve(url), { method: 'HEAD' });
+            return response.ok;
+        },
+        async read(url) {
+            const response = await fetch(resolve(url));
+            if (!response.ok) {
+                throw new Error(`Download failed with HTTP ${response.status}`);
+            }
+            return Buffer.from(await response.arrayBuffer());
+        }
+    };
+}
+
+// Migrate legacy albums to the current schema
+// Each legacy image is downloaded from `source`, run through the normal
+// upload pipeline with the album's processing settings, and its entry is
+// rewritten in place; other keys (e.g. file_name) are kept. An album is
+// migrated as a whole: if any image fails, its uploads are deleted and the
+// JSON is left untouched.
+//
+// Returns one report per legacy album:
+// { slug, images, legacy, status: 'migrated' | 'ready' | 'failed', missing, error }
+async function migrateLegacyAlbums({ dataDir, slugs, source, dryRun, storage, imageProcessor, getProcessing, log = () => {} }) {
+    const imageSource = createImageSource(source);
+    log(`Downloading from ${imageSource.description}${dryRun ? ' (dry run)' : ''}`);
+
+    const jsonFiles = fs.readdirSync(dataDir)
+        .filter(f => f.endsWith('.json') && !f.startsWith('_') && !f.startsWith('.'))
+        .filter(f => !slugs || slugs.includes(f.slice(0, -'.json'.length)));
+
+    const reports = [];
+    for (const jsonFile of jsonFiles) {
+        const slug = jsonFile.slice(0, -'.json'.length);
+        const jsonPath = path.join(dataDir, jsonFile);
+        const images = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+        const legacyIndexes = images.map((image, i) => (isLegacyImage(image) ? i : -1)).filter(i => i >= 0);
+        if (legacyIndexes.length === 0) continue;
+
+        const report = { slug, images: images.length, legacy: legacyIndexes.length, status: 'ready', missing: [], error: '' };
+        reports.push(report);
+
+        // Check that every source file is available before touching anything
+        for (const i of legacyIndexes) {
+            const url = images[i]['imageFull-link'];
+            try {
+                if (!await imageSource.exists(url)) report.missing.push(url);
+            } catch (e) {
+                report.missing.push(url);
+            }
+        }
+        if (report.missing.length > 0) {
+            report.status = 'failed';
+            report.error = `${report.missing.length} source file${report.missing.length === 1 ? '' : 's'} missing`;
+            log(`${slug}: ${report.error}`);
+            continue;
+        }
+        if (dryRun) {
+            log(`${slug}: ${report.legacy} of ${report.images} images would be migrated`);
+            continue;
+        }
+
+        const processing = getProcessing(slug);
+        try {
+            await runTransaction(storage, async tx => {
+                for (const [n, i] of legacyIndexes.entries()) {
+                    const legacy = images[i];
+                    log(`${slug}: [${n + 1}/${legacyIndexes.length}] ${legacy['imageFull-link']}`);
+
+                    const buffer = await imageSource.read(legacy['imageFull-link']);
+                    const { format } = await sharp(buffer).metadata();
+                    const file = {
+                        originalname: legacy.file_name || path.basename(legacy['imageFull-link']),
+                        mimetype: `image/${format}`,
+                        buffer
+                    };
+                    const entry = await imageProcessor.processImage(slug, file, hashFile(buffer), processing);
+                    getImageKeys(entry, slug).forEach(key => tx.trackUpload(key));
+
+                    const rest = { ...legacy };
+                    LEGACY_KEYS.forEach(key => delete rest[key]);
+                    images[i] = { ...entry, ...rest };
+                }
+                tx.writeFile(jsonPath, JSON.stringify(images, null, 2));
+            });
+            report.status = 'migrated';
+            log(`${slug}: migrated ${report.legacy} images`);
+        } catch (err) {
+            report.status = 'failed';
+            report.error = err.message;
+            log(`${slug}: failed, ${err.message}`);
+        }
+    }
+    return reports;
+}
+
+module.exports = {
+    LEGACY_KEYS,
+    isLegacyImage,
+    createImageSource,
+    migrateLegacyAlbums
+};
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { createTempDir, createTestSite, createTestJpeg } = require('../test/fixtures');
+const { getImageKeys } = require('./images');
+const { getProcessingSettings } = require('./metadata');
+const { LEGACY_KEYS, createImageSource, migrateLegacyAlbums } = require('./migrate');
+
+// Helper: A legacy image entry pointing at imgur
+function legacyImage(id) {
+    return {
+        'imageFull-link': `https://i.imgur.com/${id}.jpeg`,
+        'thumbnail-link': `https://i.imgur.com/${id}m.jpeg`,
+        'image1080-link': `https://i.imgur.com/${id}h.jpeg`,
+        'aspect-ratio': 1.5,
+        file_name: `${id}.jpeg`
+    };
+}
+
+// Helper: A data directory with one legacy album, a mirror directory holding
+// its files and the pipeline to migrate them with
+async function setup(t, mirrored = ['aaaaaaa', 'bbbbbbb']) {
+    const tmp = createTempDir(t, 'migrate');
+    const dataDir = path.join(tmp, 'data');
+    const mirrorDir = path.join(tmp, 'mirror');
+    fs.mkdirSync(dataDir);
+    fs.mkdirSync(mirrorDir);
+
+    const images = [legacyImage('aaaaaaa'), legacyImage('bbbbbbb')];
+    fs.writeFileSync(path.join(dataDir, 'album.json'), JSON.stringify(images, null, 2));
+    fs.writeFileSync(path.join(dataDir, 'current.json'), JSON.stringify([{ url: 'https://cdn.example.com/current/x.jpg' }]));
+    for (const id of mirrored) {
+        fs.writeFileSync(path.join(mirrorDir, `${id}.jpeg`), await createTestJpeg());
+    }
+
+    const { storage, imageProcessor } = createTestSite(tmp);
+    const options = { dataDir, source: mirrorDir, storage, imageProcessor, getProcessing: () => getProcessingSettings() };
+    return { dataDir, mirrorDir, storage, options };
+}
+
+test('a mirror directory serves files by their imgur file name', async (t) => {
+    const { mirrorDir } = await setup(t);
+    const source = createImageSource(mirrorDir);
+    assert.match(source.description, /^mirror directory /);
+    assert.equal(await source.exists('https://i.imgur.com/aaaaaaa.jpeg'), true);
+    assert.equal(await source.exists('https://i.imgur.com/missing.jpeg'), false);
+    assert.ok((await source.read('https://i.imgur.com/aaaaaaa.jpeg')).length > 0);
+    assert.throws(() => createImageSource(path.join(mirrorDir, 'nowhere')), /does not exist/);
+});
+
+test('migrates legacy albums from a mirror directory', async (t) => {
+    const { dataDir, storage, options } = await setup(t);
+    const reports = await migrateLegacyAlbums(options);
+
+    assert.equal(reports.length, 1);
+    assert.equal(reports[0].slug, 'album');
+    assert.equal(reports[0].status, 'migrated');
+
+    const images = JSON.parse(fs.readFileSync(path.join(dataDir, 'album.json'), 'utf8'));
+    for (const image of images) {
+        LEGACY_KEYS.forEach(key => assert.equal(image[key], undefined));
+        assert.equal(image.width, 60);
+        assert.equal(image.height, 40);
+        assert.match(image.file_name, /^\w+\.jpeg$/);
+        for (const key of getImageKeys(image, 'album')) {
+            assert.ok((await storage.get(key)).length > 0, key);
+        }
+    }
+
+    // Migrated albums are left alone on the next run
+    assert.deepEqual(await migrateLegacyAlbums(options), []);
+});
+
+test('albums with missing source files are left untouched', async (t) => {
+    const { dataDir, options } = await setup(t, ['aaaaaaa']);
+    const before = fs.readFileSync(path.join(dataDir, 'album.json'), 'utf8');
+
+    const [report] = await migrateLegacyAlbums(options);
+    assert.equal(report.status, 'failed');
+    assert.deepEqual(report.missing, ['https://i.imgur.com/bbbbbbb.jpeg']);
+    assert.equal(fs.readFileSync(path.join(dataDir, 'album.json'), 'utf8'), before);
+    assert.equal(fs.existsSync(path.join(dataDir, '..', 'media')), false);
+});
+
+test('a dry run only checks the source files', async (t) => {
+    const { dataDir, options } = await setup(t);
+    const before = fs.readFileSync(path.join(dataDir, 'album.json'), 'utf8');
+
+    const [report] = await migrateLegacyAlbums({ ...options, dryRun: true });
+    assert.equal(report.status, 'ready');
+    assert.equal(report.legacy, 2);
+    assert.equal(fs.readFileSync(path.join(dataDir, 'album.json'), 'utf8'), before);
+});
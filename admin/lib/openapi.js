@@ -0,0 +1,413 @@
+// OpenAPI description of the REST API (see lib/api.js)
+// Served at /api/v1/openapi.json; keep it in step with the routes.
+
+// Helper: Reference to a schema
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// Helper: JSON response with a description
+function jsonResponse(description, schema) {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+// Error responses the API uses, by status
+const ERROR_DESCRIPTIONS = {
+    400: 'Invalid request',
+    401: 'Missing or invalid credentials',
+    403: 'Missing or invalid CSRF token (session authentication)',
+    404: 'Album or job not found',
+    409: 'An album with this name already exists, or an upload job is working on the album',
+    413: 'An image is larger than the upload limit'
+};
+
+// Helper: References to error responses by status
+function errorResponses(...statuses) {
+    const responses = {};
+    for (const status of statuses) {
+        responses[status] = { $ref: `#/components/responses/Error${status}` };
+    }
+    return responses;
+}
+
+const slugParameter = {
+    name: 'slug',
+    in: 'path',
+    required: true,
+    description: 'Album slug',
+    schema: { type: 'string' }
+};
+
+const imageUploadBody = {
+    images: {
+        type: 'array',
+        items: { type: 'string', format: 'binary' },
+        description: 'JPEG, PNG or WebP images, up to 50MB each and 100 per request'
+    }
+};
+
+const OPENAPI_DOCUMENT = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Virtual Photography Admin API',
+        version: '1.0.0',
+        description: 'Manage virtual photography albums and their images. ' +
+            'Changes are recorded in the admin history like those made on the admin pages; ' +
+            'mutations return the `revision` they were recorded as. ' +
+            'Image uploads are processed by background jobs, followed with `GET /jobs/{id}`.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearerToken: [] }, { session: [], csrfToken: [] }],
+    paths: {
+        '/albums': {
+            get: {
+                operationId: 'listAlbums',
+                summary: 'List albums in their display order',
+                responses: {
+                    200: jsonResponse('The albums', {
+                        type: 'object',
+                        properties: { albums: { type: 'array', items: ref('AlbumSummary') } }
+                    }),
+                    ...errorResponses(401)
+                }
+            },
+            post: {
+                operationId: 'createAlbum',
+                summary: 'Create an album',
+                description: 'The album is created by a background job once its images are processed.',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': { schema: ref('AlbumCreate') },
+                        'multipart/form-data': {
+                            schema: {
+                                allOf: [ref('AlbumCreate'), {
+                                    type: 'object',
+                                    properties: {
+                                        ...imageUploadBody,
+                                        processing: { type: 'string', description: 'Processing settings as a JSON string' }
+                                    }
+                                }]
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    202: {
+                        description: 'The album is being created',
+                        headers: { Location: { description: 'URL of the new album', schema: { type: 'string' } } },
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: { slug: { type: 'string' }, job: ref('Job') }
+                                }
+                            }
+                        }
+                    },
+                    ...errorResponses(400, 401, 403, 409, 413)
+                }
+            }
+        },
+        '/albums/order': {
+            get: {
+                operationId: 'getAlbumOrder',
+                summary: 'Get the album display order',
+                responses: {
+                    200: jsonResponse('The saved order', ref('AlbumOrder')),
+                    ...errorResponses(401)
+                }
+            },
+            put: {
+                operationId: 'setAlbumOrder',
+                summary: 'Set the album display order',
+                description: 'Albums left out are shown after the listed ones.',
+                requestBody: {
+                    required: true,
+                    content: { 'application/json': { schema: ref('AlbumOrder') } }
+                },
+                responses: {
+                    200: jsonResponse('The order was saved', {
+                        allOf: [ref('AlbumOrder'), { type: 'object', properties: { revision: ref('Revision') } }]
+                    }),
+                    ...errorResponses(400, 401, 403)
+                }
+            }
+        },
+        '/albums/{slug}': {
+            parameters: [slugParameter],
+            get: {
+                operationId: 'getAlbum',
+                summary: 'Get an album with its images',
+                responses: {
+                    200: jsonResponse('The album', { type: 'object', properties: { album: ref('Album') } }),
+                    ...errorResponses(401, 404)
+                }
+            },
+            patch: {
+                operationId: 'updateAlbum',
+                summary: 'Update an album',
+                description: 'Only the fields sent are changed. Changing the date renames the post.',
+                requestBody: {
+                    required: true,
+                    content: { 'application/json': { schema: ref('AlbumUpdate') } }
+                },
+                responses: {
+                    200: jsonResponse('The updated album', {
+                        type: 'object',
+                        properties: { album: ref('Album'), revision: ref('Revision') }
+                    }),
+                    ...errorResponses(400, 401, 403, 404)
+                }
+            },
+            delete: {
+                operationId: 'deleteAlbum',
+                summary: 'Delete an album and its images',
+                responses: {
+                    200: jsonResponse('The album was deleted', {
+                        type: 'object',
+                        properties: {
+                            slug: { type: 'string' },
+                            failedDeletes: ref('FailedDeletes'),
+                            revision: ref('Revision')
+                        }
+                    }),
+                    ...errorResponses(401, 403, 404, 409)
+                }
+            }
+        },
+        '/albums/{slug}/images': {
+            parameters: [slugParameter],
+            post: {
+                operationId: 'addImages',
+                summary: 'Add images to an album',
+                description: 'The images are appended by a background job. Files already in the album are skipped as duplicates.',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'multipart/form-data': {
+                            schema: { type: 'object', required: ['images'], properties: imageUploadBody }
+                        }
+                    }
+                },
+                responses: {
+                    202: jsonResponse('The images are being added', { type: 'object', properties: { job: ref('Job') } }),
+                    ...errorResponses(400, 401, 403, 404, 409, 413)
+                }
+            },
+            delete: {
+                operationId: 'deleteImages',
+                summary: 'Delete images from an album',
+                description: 'The card and banner follow their images to their new indexes.',
+                parameters: [{
+                    name: 'indexes',
+                    in: 'query',
+                    description: 'Comma-separated image indexes, for clients that can\'t send a body',
+                    schema: { type: 'string', example: '0,3' }
+                }],
+                requestBody: {
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['indexes'],
+                                properties: { indexes: { type: 'array', items: { type: 'integer', minimum: 0 } } }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: jsonResponse('The images were deleted', {
+                        type: 'object',
+                        properties: {
+                            album: ref('Album'),
+                            failedDeletes: ref('FailedDeletes'),
+                            revision: ref('Revision')
+                        }
+                    }),
+                    ...errorResponses(400, 401, 403, 404, 409)
+                }
+            }
+        },
+        '/jobs/{id}': {
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+            get: {
+                operationId: 'getJob',
+                summary: 'Get a background job\'s progress',
+                responses: {
+                    200: jsonResponse('The job', { type: 'object', properties: { job: ref('Job') } }),
+                    ...errorResponses(401, 404)
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            bearerToken: {
+                type: 'http',
+                scheme: 'bearer',
+                description: 'A token whose SHA-256 hash is listed in auth.api_tokens (see `node cli.js api-token`)'
+            },
+            session: {
+                type: 'apiKey',
+                in: 'cookie',
+                name: 'vp-admin.sid',
+                description: 'The admin pages\' login session'
+            },
+            csrfToken: {
+                type: 'apiKey',
+                in: 'header',
+                name: 'X-CSRF-Token',
+                description: 'The session\'s CSRF token; required with the session for requests that change something'
+            }
+        },
+        responses: Object.fromEntries(Object.entries(ERROR_DESCRIPTIONS).map(([status, description]) => [
+            `Error${status}`,
+            jsonResponse(description, ref('Error'))
+        ])),
+        schemas: {
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: {
+                        type: 'object',
+                        required: ['code', 'message'],
+                        properties: {
+                            code: {
+                                type: 'string',
+                                enum: ['bad_request', 'unauthorized', 'forbidden', 'not_found', 'conflict', 'payload_too_large', 'internal_error']
+                            },
+                            message: { type: 'string' }
+                        }
+                    }
+                }
+            },
+            Revision: {
+                type: 'string',
+                nullable: true,
+                description: 'History revision the change was recorded as'
+            },
+            FailedDeletes: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Storage keys that couldn\'t be deleted'
+            },
+            AlbumSummary: {
+                type: 'object',
+                properties: {
+                    slug: { type: 'string' },
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    developer: { type: 'string' },
+                    date: { type: 'string', format: 'date' },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    state: { type: 'string', enum: ['draft', 'scheduled', 'published'] },
+                    imageCount: { type: 'integer' },
+                    url: { type: 'string', description: 'Path of the album on the site' }
+                }
+            },
+            Album: {
+                allOf: [ref('AlbumSummary'), ref('CoverSettings'), {
+                    type: 'object',
+                    properties: {
+                        processing: ref('Processing'),
+                        images: { type: 'array', items: ref('Image') }
+                    }
+                }]
+            },
+            CoverSettings: {
+                type: 'object',
+                properties: {
+                    cardImage: { type: 'integer', description: 'Index of the image shown on the album card' },
+                    cardOffset: { type: 'integer' },
+                    cardOffsetX: { type: 'integer' },
+                    cardZoom: { type: 'integer' },
+                    bannerImage: { type: 'integer', description: 'Index of the image shown as the album banner' },
+                    bannerOffset: { type: 'integer' },
+                    bannerOffsetX: { type: 'integer' },
+                    bannerZoom: { type: 'integer' }
+                }
+            },
+            Processing: {
+                type: 'object',
+                additionalProperties: true,
+                description: 'The album\'s image processing overrides of the admin defaults; an empty object returns to the defaults'
+            },
+            Image: {
+                type: 'object',
+                additionalProperties: true,
+                properties: {
+                    index: { type: 'integer' },
+                    url: { type: 'string', description: 'The original' },
+                    thumb: { type: 'string' },
+                    sizes: { type: 'array', items: { type: 'object' }, description: 'The derivative widths and formats' },
+                    placeholder: { type: 'string', description: 'Inline data URL shown while the image loads' },
+                    color: { type: 'string', description: 'Dominant colour' },
+                    width: { type: 'integer' },
+                    height: { type: 'integer' },
+                    aspectRatio: { type: 'number' },
+                    title: { type: 'string' },
+                    alt: { type: 'string' },
+                    caption: { type: 'string' },
+                    hash: { type: 'string' },
+                    file_name: { type: 'string' }
+                }
+            },
+            AlbumCreate: {
+                type: 'object',
+                required: ['title'],
+                properties: {
+                    title: { type: 'string', description: 'The slug is made from the title' },
+                    description: { type: 'string' },
+                    developer: { type: 'string' },
+                    date: { type: 'string', format: 'date' },
+                    processing: ref('Processing'),
+                    draft: { type: 'boolean', description: 'Create the album unpublished' }
+                }
+            },
+            AlbumUpdate: {
+                allOf: [ref('CoverSettings'), {
+                    type: 'object',
+                    properties: {
+                        title: { type: 'string' },
+                        description: { type: 'string' },
+                        developer: { type: 'string' },
+                        date: { type: 'string', format: 'date' },
+                        tags: { type: 'array', items: { type: 'string' } },
+                        published: { type: 'boolean' },
+                        processing: ref('Processing')
+                    }
+                }]
+            },
+            AlbumOrder: {
+                type: 'object',
+                required: ['order'],
+                properties: { order: { type: 'array', items: { type: 'string' }, description: 'Album slugs' } }
+            },
+            Job: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    type: { type: 'string', enum: ['create-album', 'add-images', 'regenerate', 'import-album'] },
+                    slug: { type: 'string' },
+                    status: { type: 'string' },
+                    message: { type: 'string' },
+                    error: { type: 'string' },
+                    total: { type: 'integer' },
+                    finished: { type: 'integer' },
+                    counts: { type: 'object', additionalProperties: { type: 'integer' } },
+                    images: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { name: { type: 'string' }, state: { type: 'string' }, error: { type: 'string' } }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+module.exports = {
+    OPENAPI_DOCUMENT
+};
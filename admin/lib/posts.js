@@ -0,0 +1,90 @@
+const slugify = require('slugify');
+const { updateFrontMatter } = require('./frontmatter');
+
+// Helper: Create slug
+function createSlug(name) {
+    return slugify(name, {
+        lower: true,
+        strict: true,
+        remove: /[*+~.()'"!:@]/g
+    });
+}
+
+// Helper: Whether a value is a post date (YYYY-MM-DD)
+// The date is part of the post's file name, so nothing else may get through.
+function isPostDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// Helper: File name of an album's post
+// Front matter dates can carry a time and zone, but the file name only
+// takes the day. A date that doesn't start with one falls back to today.
+function getPostFileName(date, slug) {
+    const day = String(date || '').slice(0, 10);
+    return `${isPostDate(day) ? day : new Date().toISOString().split('T')[0]}-${slug}.md`;
+}
+
+// Layout of a new post's front matter
+// Values are filled in through the YAML document, which keeps this key order
+// and the quoting of each value while escaping whatever the values contain.
+const POST_TEMPLATE = `---
+layout: post
+date: 1970-01-01
+title: ""
+description: ""
+developer: ""
+categories: [virtual-photography]
+tags: []
+slug: slug
+card-image: 0
+card-offset: 50
+card-offset-x: 50
+card-zoom: 100
+banner-image: 0
+banner-offset: 50
+banner-offset-x: 50
+banner-zoom: 100
+---`;
+
+// Helper: Generate post markdown
+function generatePostMarkdown(data) {
+    return updateFrontMatter(POST_TEMPLATE, {
+        date: data.date || new Date().toISOString().split('T')[0],
+        title: data.title || '',
+        description: data.description || 'Virtual Photography',
+        developer: data.developer || '',
+        tags: data.tags || [],
+        slug: data.slug,
+        'card-image': data.cardImage || 0,
+        'card-offset': data.cardOffset || 50,
+        'card-offset-x': data.cardOffsetX || 50,
+        'card-zoom': data.cardZoom || 100,
+        'banner-image': data.bannerImage || 0,
+        'banner-offset': data.bannerOffset || 50,
+        'banner-offset-x': data.bannerOffsetX || 50,
+        'banner-zoom': data.bannerZoom || 100
+    });
+}
+
+// Helper: Generate post markdown for a new album
+// Image processing overrides are added as a `processing` map, and drafts
+// get `published: false`.
+function generateNewPostMarkdown(data) {
+    const content = generatePostMarkdown(data);
+    const extra = {};
+    if (data.processing && Object.keys(data.processing).length > 0) {
+        extra.processing = data.processing;
+    }
+    if (data.published === false) {
+        extra.published = false;
+    }
+    return Object.keys(extra).length > 0 ? updateFrontMatter(content, extra) : content;
+}
+
+module.exports = {
+    createSlug,
+    isPostDate,
+    getPostFileName,
+    generatePostMarkdown,
+    generateNewPostMarkdown
+};
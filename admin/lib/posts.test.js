@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFrontMatter } = require('./frontmatter');
+const { createSlug, getPostFileName, generatePostMarkdown, generateNewPostMarkdown } = require('./posts');
+
+test('new posts keep the template layout', () => {
+    const post = generatePostMarkdown({ date: '2024-01-15', title: 'Cyberpunk 2077', developer: 'CD Projekt Red', tags: ['RPG', 'Open World'], slug: 'cyberpunk-2077' });
+    assert.equal(post, `---
+layout: post
+date: 2024-01-15
+title: "Cyberpunk 2077"
+description: "Virtual Photography"
+developer: "CD Projekt Red"
+categories: [virtual-photography]
+tags: [RPG, Open World]
+slug: cyberpunk-2077
+card-image: 0
+card-offset: 50
+card-offset-x: 50
+card-zoom: 100
+banner-image: 0
+banner-offset: 50
+banner-offset-x: 50
+banner-zoom: 100
+---`);
+});
+
+test('any title, developer or slug round-trips through the front matter', () => {
+    const data = {
+        date: '2024-01-15',
+        title: 'Say "Hi" \\o/: Part #2',
+        description: 'Two\nlines',
+        developer: 'Studio: "Quoted"',
+        tags: ['a, b', '[c]'],
+        slug: '1917'
+    };
+    const frontMatter = parseFrontMatter(generatePostMarkdown(data));
+    assert.equal(frontMatter.title, data.title);
+    assert.equal(frontMatter.description, data.description);
+    assert.equal(frontMatter.developer, data.developer);
+    assert.deepEqual(frontMatter.tags, data.tags);
+    assert.equal(frontMatter.slug, '1917');
+});
+
+test('drafts and processing overrides are added to new albums', () => {
+    const frontMatter = parseFrontMatter(generateNewPostMarkdown({
+        title: 'Draft',
+        slug: 'draft',
+        published: false,
+        processing: { strip_metadata: false }
+    }));
+    assert.equal(frontMatter.published, false);
+    assert.deepEqual(frontMatter.processing, { strip_metadata: false });
+    assert.equal(createSlug('Mass Effect: Legendary Edition!'), 'mass-effect-legendary-edition');
+});
+
+test('post file names take the day of dates with a time', () => {
+    assert.equal(getPostFileName('2024-01-15', 'album'), '2024-01-15-album.md');
+    assert.equal(getPostFileName('2024-01-15 10:00:00 +0100', 'album'), '2024-01-15-album.md');
+    assert.equal(getPostFileName('2024-01-15T10:00:00Z', 'album'), '2024-01-15-album.md');
+    assert.match(getPostFileName('2024/01/15', 'album'), /^\d{4}-\d{2}-\d{2}-album\.md$/);
+    assert.match(getPostFileName(undefined, 'album'), /^\d{4}-\d{2}-\d{2}-album\.md$/);
+});
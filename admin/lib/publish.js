@@ -0,0 +1,248 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Files the admin writes, relative to the site root
+const MANAGED_PATHS = ['_posts', '_data/virtual-photography', 'pages/redirects'];
+
+// Git commands that talk to the remote can wait on the network
+const GIT_TIMEOUT_MS = 60 * 1000;
+
+// Commit messages list at most this many operations
+const MAX_MESSAGE_OPERATIONS = 30;
+
+// Helper: Whether a path is one of the files the admin writes
+function isManaged(file) {
+    return MANAGED_PATHS.some(managed => file === managed || file.startsWith(`${managed}/`));
+}
+
+// Helper: Describe a porcelain status code
+function describeStatus(code) {
+    if (code.includes('U') || code === 'AA' || code === 'DD') return 'conflict';
+    if (code === '??' || code.includes('A')) return 'added';
+    if (code.includes('D')) return 'deleted';
+    if (code.includes('R')) return 'renamed';
+    return 'modified';
+}
+
+// Publishing through git
+// Commits pending changes to the managed files and pushes them to
+// `branch` on `remote`, which deploys the site (.github/workflows/workflow.yml
+// builds on every push to main). Nothing outside the managed paths is staged
+// or committed, so unrelated work in the same checkout is left alone.
+//
+// Publishing refuses to commit when the remote branch has commits the local
+// one doesn't: those have to be pulled in a terminal first. The files both
+// sides changed are reported as conflicts. It also refuses when another
+// branch is checked out, or when unpushed commits touch files outside the
+// managed paths: pushing would publish work that wasn't made in the admin.
+//
+// Config (`publish` in .admin-config.json): remote (default origin), branch
+// (default main), author_name and author_email (default: git's own config).
+function createPublisher({ rootDir, history, remote = 'origin', branch = 'main', authorName, authorEmail }) {
+    let publishing = false;
+
+    // Helper: Run git in the site root
+    async function git(args, { timeout = GIT_TIMEOUT_MS } = {}) {
+        const identity = [];
+        if (authorName) identity.push('-c', `user.name=${authorName}`);
+        if (authorEmail) identity.push('-c', `user.email=${authorEmail}`);
+        try {
+            const { stdout } = await execFileAsync('git', [...identity, ...args], {
+                cwd: rootDir,
+                timeout,
+                maxBuffer: 16 * 1024 * 1024,
+                env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+            });
+            return stdout;
+        } catch (err) {
+            const message = (err.stderr || '').trim() || err.message;
+            throw new Error(`git ${args[0]} failed: ${message}`);
+        }
+    }
+
+    // Helper: Pending changes to the managed files
+    async function getPendingFiles() {
+        const output = await git(['status', '--porcelain=v1', '-z', '--untracked-files=all', '--', ...MANAGED_PATHS]);
+        const entries = output.split('\0').filter(Boolean);
+        const files = [];
+        for (let i = 0; i < entries.length; i++) {
+            const code = entries[i].slice(0, 2);
+            const file = { path: entries[i].slice(3), status: describeStatus(code) };
+            if (code.includes('R')) {
+                // Renames are followed by their source path
+                file.from = entries[++i];
+            }
+            files.push(file);
+        }
+        return files;
+    }
+
+    // Helper: Files changed by commits in a range
+    async function getChangedFiles(range) {
+        const output = await git(['diff', '--name-only', '-z', range, '--', ...MANAGED_PATHS]);
+        return output.split('\0').filter(Boolean);
+    }
+
+    // Helper: Files touched by any commit in a range, managed or not
+    async function getCommittedFiles(range) {
+        const output = await git(['log', '--name-only', '--format=', '-z', range]);
+        return [...new Set(output.split(/[\0\n]/).filter(Boolean))];
+    }
+
+    // Helper: Compare HEAD with the remote branch
+    // Returns { ahead, behind, remoteCommits, remoteFiles, localFiles,
+    // unmanagedFiles }, the last being files outside the managed paths that
+    // unpushed commits touch.
+    // `fetchError` is set if the remote couldn't be reached, in which case the
+    // last fetched state is used.
+    async function getRemoteState() {
+        let fetchError = null;
+        try {
+            await git(['fetch', '--quiet', remote]);
+        } catch (err) {
+            fetchError = err.message;
+        }
+
+        const remoteRef = `refs/remotes/${remote}/${branch}`;
+        const hasRemoteBranch = await git(['rev-parse', '--verify', '--quiet', remoteRef])
+            .then(() => true, () => false);
+        if (!hasRemoteBranch) {
+            const ahead = parseInt(await git(['rev-list', '--count', 'HEAD']), 10);
+            const unmanagedFiles = (await getCommittedFiles('HEAD')).filter(file => !isManaged(file));
+            return { ahead, behind: 0, remoteCommits: [], remoteFiles: [], localFiles: [], unmanagedFiles, fetchError };
+        }
+
+        const [ahead, behind] = (await git(['rev-list', '--left-right', '--count', `HEAD...${remoteRef}`]))
+            .trim().split(/\s+/).map(Number);
+        const remoteCommits = behind > 0
+            ? (await git(['log', '--format=%h %s', `HEAD..${remoteRef}`])).split('\n').filter(Boolean)
+            : [];
+        const remoteFiles = behind > 0 ? await getChangedFiles(`HEAD...${remoteRef}`) : [];
+        const localFiles = ahead > 0 ? await getChangedFiles(`${remoteRef}...HEAD`) : [];
+        const unmanagedFiles = ahead > 0
+            ? (await getCommittedFiles(`${remoteRef}..HEAD`)).filter(file => !isManaged(file))
+            : [];
+        return { ahead, behind, remoteCommits, remoteFiles, localFiles, unmanagedFiles, fetchError };
+    }
+
+    // Helper: Admin operations behind the pending changes
+    // Revisions recorded since the managed files were last committed that
+    // touched a pending file, oldest first. Undone changes and their undos
+    // cancel out and are left out. Commit times only have whole seconds, so
+    // revisions from the second of the last commit count as committed.
+    async function getOperations(files) {
+        if (!history) return [];
+        const lastCommit = (await git(['log', '-1', '--format=%ct', '--', ...MANAGED_PATHS])).trim();
+        const since = lastCommit ? new Date((parseInt(lastCommit, 10) + 1) * 1000).toISOString() : '';
+        const pending = new Set(files.flatMap(file => [file.path, file.from].filter(Boolean)));
+        return history.list()
+            .filter(revision => revision.createdAt >= since && !revision.restoredBy && !revision.restores)
+            .filter(revision => revision.files.some(file => pending.has(file)))
+            .reverse()
+            .map(revision => revision.label);
+    }
+
+    // Helper: Commit message for a set of operations and files
+    function buildMessage(operations, files) {
+        if (operations.length === 0) {
+            const lines = files.map(file => `- ${file.status} ${file.path}`);
+            return `Update site content\n\n${lines.join('\n')}\n`;
+        }
+        const subject = operations.length === 1
+            ? operations[0]
+            : `${operations[operations.length - 1]} and ${operations.length - 1} more change${operations.length === 2 ? '' : 's'}`;
+        const listed = operations.slice(0, MAX_MESSAGE_OPERATIONS).map(label => `- ${label}`);
+        if (operations.length > MAX_MESSAGE_OPERATIONS) {
+            listed.push(`- ... and ${operations.length - MAX_MESSAGE_OPERATIONS} more`);
+        }
+        return operations.length === 1 ? `${subject}\n` : `${subject}\n\n${listed.join('\n')}\n`;
+    }
+
+    // Pending changes, how the branch compares with the remote and a
+    // suggested commit message
+    async function status() {
+        const files = await getPendingFiles();
+        const remoteState = await getRemoteState();
+        const operations = files.length > 0 ? await getOperations(files) : [];
+        const local = new Set([...files.map(file => file.path), ...remoteState.localFiles]);
+        const conflicts = [
+            ...files.filter(file => file.status === 'conflict').map(file => file.path),
+            ...remoteState.remoteFiles.filter(file => local.has(file))
+        ];
+        const currentBranch = (await git(['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+        return {
+            remote,
+            branch,
+            currentBranch,
+            onBranch: currentBranch === branch,
+            files,
+            operations,
+            message: files.length > 0 ? buildMessage(operations, files) : '',
+            ...remoteState,
+            conflicts: [...new Set(conflicts)]
+        };
+    }
+
+    // Commit the pending changes and push
+    // Returns { commit, pushed, files } on success, { refused } with the
+    // reason if the checkout isn't on the branch or unpushed commits touch
+    // unmanaged files, or { diverged } with the status if the remote has moved
+    // on; nothing is committed in those cases. A push
+    // that fails after committing leaves the commit in place, and the next
+    // publish pushes it.
+    async function publish(message) {
+        if (publishing) throw new Error('A publish is already running');
+        publishing = true;
+        try {
+            const current = await status();
+            if (current.fetchError) {
+                throw new Error(current.fetchError);
+            }
+            if (!current.onBranch) {
+                return { refused: `${current.currentBranch} is checked out, but publishing pushes ${branch}; switch branches in a terminal first` };
+            }
+            if (current.unmanagedFiles.length > 0) {
+                return {
+                    refused: `Unpushed commits change files the admin doesn't manage (${current.unmanagedFiles.join(', ')}); push them from a terminal`,
+                    unmanagedFiles: current.unmanagedFiles
+                };
+            }
+            if (current.behind > 0 || current.conflicts.length > 0) {
+                return { diverged: current };
+            }
+            if (current.files.length === 0 && current.ahead === 0) {
+                throw new Error('Nothing to publish');
+            }
+
+            let commit = null;
+            if (current.files.length > 0) {
+                const paths = current.files.flatMap(file => [file.path, file.from].filter(Boolean));
+                await git(['add', '--all', '--', ...paths]);
+                await git(['commit', '--quiet', '--message', (message || '').trim() || current.message, '--', ...paths]);
+                commit = (await git(['rev-parse', '--short', 'HEAD'])).trim();
+            }
+
+            try {
+                await git(['push', '--quiet', remote, `HEAD:refs/heads/${branch}`]);
+            } catch (err) {
+                return { commit, pushed: false, error: err.message, files: current.files };
+            }
+            return { commit, pushed: true, files: current.files };
+        } finally {
+            publishing = false;
+        }
+    }
+
+    return {
+        status,
+        publish
+    };
+}
+
+module.exports = {
+    MANAGED_PATHS,
+    isManaged,
+    createPublisher
+};
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const { createTempDir } = require('../test/fixtures');
+const { isManaged, createPublisher } = require('./publish');
+
+const IDENTITY = ['-c', 'user.name=Test', '-c', 'user.email=test@example.com'];
+
+// Helper: Run git in a directory
+function git(cwd, ...args) {
+    return execFileSync('git', [...IDENTITY, ...args], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+// Helper: Write a file, creating its directory
+function write(dir, file, content) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+}
+
+// Helper: A site checkout whose origin is a temporary bare repository
+function setup(t) {
+    const tmp = createTempDir(t, 'publish');
+    const remoteDir = path.join(tmp, 'remote.git');
+    const rootDir = path.join(tmp, 'site');
+    git(tmp, 'init', '--quiet', '--bare', '--initial-branch=main', remoteDir);
+    git(tmp, 'clone', '--quiet', remoteDir, rootDir);
+    git(rootDir, 'checkout', '--quiet', '-b', 'main');
+    write(rootDir, '_config.yml', 'title: Site\n');
+    write(rootDir, '_posts/2024-01-01-album.md', '---\ntitle: Album\n---\n');
+    git(rootDir, 'add', '--all');
+    git(rootDir, 'commit', '--quiet', '-m', 'Initial commit');
+    git(rootDir, 'push', '--quiet', 'origin', 'main');
+    const publisher = createPublisher({ rootDir, authorName: 'Admin', authorEmail: 'admin@example.com' });
+    return { tmp, remoteDir, rootDir, publisher };
+}
+
+test('managed paths', () => {
+    assert.equal(isManaged('_posts/2024-01-01-album.md'), true);
+    assert.equal(isManaged('_data/virtual-photography/album.json'), true);
+    assert.equal(isManaged('_data/other.yml'), false);
+    assert.equal(isManaged('_postscript.md'), false);
+});
+
+test('publish commits the managed files and pushes them', async (t) => {
+    const { remoteDir, rootDir, publisher } = setup(t);
+    write(rootDir, '_data/virtual-photography/album.json', '[]\n');
+    write(rootDir, 'notes.txt', 'not for the admin\n');
+
+    const before = await publisher.status();
+    assert.deepEqual(before.files, [{ path: '_data/virtual-photography/album.json', status: 'added' }]);
+    assert.equal(before.onBranch, true);
+
+    const result = await publisher.publish('Add album');
+    assert.equal(result.pushed, true);
+    assert.equal(git(remoteDir, 'log', '-1', '--format=%s%n%an', 'main'), 'Add album\nAdmin');
+    assert.equal(git(remoteDir, 'show', 'main:_data/virtual-photography/album.json'), '[]');
+    assert.match(git(rootDir, 'status', '--porcelain'), /\?\? notes\.txt/);
+    await assert.rejects(publisher.publish(''), /Nothing to publish/);
+});
+
+test('publish refuses when another branch is checked out', async (t) => {
+    const { remoteDir, rootDir, publisher } = setup(t);
+    git(rootDir, 'checkout', '--quiet', '-b', 'experiment');
+    write(rootDir, '_data/virtual-photography/album.json', '[]\n');
+
+    const status = await publisher.status();
+    assert.equal(status.currentBranch, 'experiment');
+    assert.equal(status.onBranch, false);
+
+    const result = await publisher.publish('Add album');
+    assert.match(result.refused, /experiment is checked out/);
+    assert.equal(git(rootDir, 'status', '--porcelain'), '?? _data/');
+    assert.equal(git(remoteDir, 'log', '--format=%s', 'main'), 'Initial commit');
+});
+
+test('publish refuses to push unpushed commits outside the managed paths', async (t) => {
+    const { remoteDir, rootDir, publisher } = setup(t);
+    write(rootDir, '_config.yml', 'title: Work in progress\n');
+    git(rootDir, 'commit', '--quiet', '-am', 'Local work');
+    write(rootDir, '_data/virtual-photography/album.json', '[]\n');
+
+    const result = await publisher.publish('Add album');
+    assert.deepEqual(result.unmanagedFiles, ['_config.yml']);
+    assert.ok(result.refused);
+    assert.equal(git(rootDir, 'log', '-1', '--format=%s'), 'Local work');
+    assert.equal(git(remoteDir, 'log', '--format=%s', 'main'), 'Initial commit');
+});
+
+test('publish reports a remote that moved on instead of committing', async (t) => {
+    const { tmp, remoteDir, rootDir, publisher } = setup(t);
+    const otherDir = path.join(tmp, 'other');
+    git(tmp, 'clone', '--quiet', remoteDir, otherDir);
+    write(otherDir, '_posts/2024-01-01-album.md', '---\ntitle: Renamed\n---\n');
+    git(otherDir, 'commit', '--quiet', '-am', 'Rename album');
+    git(otherDir, 'push', '--quiet', 'origin', 'main');
+    write(rootDir, '_posts/2024-01-01-album.md', '---\ntitle: Edited\n---\n');
+
+    const { diverged } = await publisher.publish('Edit album');
+    assert.equal(diverged.behind, 1);
+    assert.deepEqual(diverged.conflicts, ['_posts/2024-01-01-album.md']);
+    assert.deepEqual(diverged.remoteCommits.map(commit => commit.split(' ').slice(1).join(' ')), ['Rename album']);
+    assert.equal(git(rootDir, 'log', '-1', '--format=%s'), 'Initial commit');
+});
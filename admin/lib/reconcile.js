@@ -0,0 +1,201 @@
+const { getOwnKey } = require('./images');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Storage requests run in parallel when deleting orphans or checking URLs
+const CONCURRENCY = 4;
+
+// Helper: Every file an image entry references, labelled by role
+function getImageRefs(image) {
+    const refs = [
+        { kind: 'original', url: image.url },
+        { kind: 'thumbnail', url: image.thumb }
+    ];
+    for (const size of image.sizes || []) {
+        for (const [format, url] of Object.entries(size)) {
+            if (format !== 'width' && format !== 'height') {
+                refs.push({ kind: `${size.width}w ${format}`, url });
+            }
+        }
+    }
+    return refs.filter(ref => ref.url);
+}
+
+// Helper: Check that external URLs still respond
+async function findDeadUrls(refs) {
+    const dead = [];
+    await mapWithConcurrency(refs, CONCURRENCY, async (ref) => {
+        try {
+            const response = await fetch(ref.url, { method: 'HEAD' });
+            if (!response.ok) dead.push({ ...ref, status: response.status });
+        } catch (e) {
+            dead.push({ ...ref, status: e.message });
+        }
+    });
+    return dead.sort((a, b) => a.index - b.index);
+}
+
+// Compare storage with the albums
+// Lists the whole bucket once and groups the objects by slug prefix. For each
+// album it reports:
+//   objects/bytes   everything stored under `<slug>/`
+//   orphans         stored objects no image references
+//   missing         referenced objects that aren't stored
+//   external        references to files outside our storage (legacy imgur)
+//   deadUrls        external references that don't respond (checkExternal)
+// Prefixes without an album are reported as stray. Slugs in `busySlugs` (an
+// upload job is still working on them) are flagged so cleanup skips them.
+// Objects in `heldKeys` (deleted by a change that can still be undone, see
+// history.getPendingDeletes()) are counted as held rather than orphaned, so
+// cleanup leaves them for the history to delete.
+async function reconcile({ storage, albums, busySlugs = new Set(), heldKeys = new Set(), checkExternal = false }) {
+    const objectsBySlug = new Map();
+    for (const object of await storage.list('')) {
+        const slug = object.key.split('/')[0];
+        if (!objectsBySlug.has(slug)) objectsBySlug.set(slug, []);
+        objectsBySlug.get(slug).push(object);
+    }
+
+    const reports = [];
+    for (const album of albums) {
+        const objects = objectsBySlug.get(album.slug) || [];
+        objectsBySlug.delete(album.slug);
+        const stored = new Set(objects.map(object => object.key));
+
+        const referenced = new Set();
+        const missing = [];
+        const external = [];
+        album.images.forEach((image, index) => {
+            for (const ref of getImageRefs(image)) {
+                const key = getOwnKey(storage, ref.url, album.slug);
+                if (!key) {
+                    external.push({ index, ...ref });
+                } else {
+                    referenced.add(key);
+                    if (!stored.has(key)) missing.push({ index, kind: ref.kind, key });
+                }
+            }
+        });
+
+        const orphans = objects.filter(object => !referenced.has(object.key) && !heldKeys.has(object.key));
+        const held = objects.filter(object => !referenced.has(object.key) && heldKeys.has(object.key));
+        reports.push({
+            slug: album.slug,
+            title: album.title,
+            images: album.images.length,
+            objects: objects.length,
+            bytes: objects.reduce((sum, object) => sum + object.size, 0),
+            orphans,
+            orphanBytes: orphans.reduce((sum, object) => sum + object.size, 0),
+            held: held.length,
+            missing,
+            external: external.length,
+            deadUrls: checkExternal ? await findDeadUrls(external) : [],
+            busy: busySlugs.has(album.slug)
+        });
+    }
+
+    const stray = [...objectsBySlug.entries()].map(([prefix, objects]) => {
+        const unheld = objects.filter(object => !heldKeys.has(object.key));
+        return {
+            prefix,
+            objects: objects.length,
+            bytes: objects.reduce((sum, object) => sum + object.size, 0),
+            keys: unheld.map(object => object.key),
+            keyBytes: unheld.reduce((sum, object) => sum + object.size, 0),
+            held: objects.length - unheld.length,
+            busy: busySlugs.has(prefix)
+        };
+    });
+
+    return {
+        albums: reports,
+        stray,
+        totals: {
+            objects: reports.reduce((sum, r) => sum + r.objects, 0) + stray.reduce((sum, s) => sum + s.objects, 0),
+            bytes: reports.reduce((sum, r) => sum + r.bytes, 0) + stray.reduce((sum, s) => sum + s.bytes, 0),
+            orphans: reports.reduce((sum, r) => sum + r.orphans.length, 0) + stray.reduce((sum, s) => sum + s.keys.length, 0),
+            orphanBytes: reports.reduce((sum, r) => sum + r.orphanBytes, 0) + stray.reduce((sum, s) => sum + s.keyBytes, 0),
+            held: reports.reduce((sum, r) => sum + r.held, 0) + stray.reduce((sum, s) => sum + s.held, 0),
+            missing: reports.reduce((sum, r) => sum + r.missing.length, 0)
+        }
+    };
+}
+
+// Delete storage objects, collecting failures instead of stopping
+// Returns { deleted, failed } lists of keys.
+async function deleteObjects(storage, keys) {
+    const deleted = [];
+    const failed = [];
+    await mapWithConcurrency(keys, CONCURRENCY, async (key) => {
+        try {
+            await storage.delete(key);
+            deleted.push(key);
+        } catch (e) {
+            console.error(`Error deleting ${key} from storage:`, e.message);
+            failed.push(key);
+        }
+    });
+    return { deleted, failed };
+}
+
+// Rewrite an album's images so they only reference stored objects
+// Missing derivatives are dropped from `sizes`; a missing thumbnail falls back
+// to the smallest remaining derivative and a missing original to the largest.
+// Images with nothing left are kept (deleting them is up to the user) and
+// listed as unrecoverable.
+// Returns { images, repaired, unrecoverable } with image indexes.
+function repairImages(storage, slug, images, report) {
+    const missingKeys = new Set(report.missing.map(entry => entry.key));
+    const isMissing = url => {
+        const key = getOwnKey(storage, url, slug);
+        return !!key && missingKeys.has(key);
+    };
+
+    const repaired = [];
+    const unrecoverable = [];
+    const result = images.map((image, index) => {
+        if (!getImageRefs(image).some(ref => isMissing(ref.url))) {
+            return image;
+        }
+
+        const sizes = (image.sizes || [])
+            .map(size => Object.fromEntries(Object.entries(size).filter(([key, url]) => key === 'width' || key === 'height' || !isMissing(url))))
+            .filter(size => Object.keys(size).length > 2);
+        const urlsOf = size => Object.entries(size).filter(([key]) => key !== 'width' && key !== 'height').map(([, url]) => url);
+        const smallest = sizes[0];
+        const largest = sizes[sizes.length - 1];
+
+        let url = isMissing(image.url) ? null : image.url;
+        if (!url && largest) url = largest.webp || urlsOf(largest)[0];
+        let thumb = isMissing(image.thumb) ? null : image.thumb;
+        if (!thumb) thumb = smallest ? smallest.webp || urlsOf(smallest)[0] : url;
+
+        if (!url) {
+            unrecoverable.push(index);
+            return image;
+        }
+        repaired.push(index);
+        return { ...image, url, thumb, sizes };
+    });
+
+    return { images: result, repaired, unrecoverable };
+}
+
+// Helper: Human-readable byte count
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+module.exports = {
+    reconcile,
+    deleteObjects,
+    repairImages,
+    formatBytes
+};
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, createTestStorage } = require('../test/fixtures');
+const { reconcile } = require('./reconcile');
+
+// Helper: Local storage holding the given keys
+async function setup(t, keys) {
+    const storage = createTestStorage(createTempDir(t, 'reconcile'));
+    for (const key of keys) {
+        await storage.put(key, Buffer.from(key));
+    }
+    return storage;
+}
+
+const ALBUM = {
+    slug: 'album',
+    title: 'Album',
+    images: [
+        { url: 'https://cdn.example.com/album/aaaa.jpg', thumb: 'https://cdn.example.com/album/400w/aaaa.webp' },
+        { url: 'https://cdn.example.com/album/cccc.jpg' },
+        { url: 'https://i.imgur.com/legacy.jpeg' }
+    ]
+};
+
+test('unreferenced objects are orphans unless a change that can be undone holds them', async (t) => {
+    const storage = await setup(t, [
+        'album/aaaa.jpg', 'album/400w/aaaa.webp',
+        'album/bbbb.jpg', 'album/400w/bbbb.webp',
+        'album/dddd.jpg',
+        'deleted/eeee.jpg', 'deleted/ffff.jpg'
+    ]);
+    const heldKeys = new Set(['album/bbbb.jpg', 'album/400w/bbbb.webp', 'deleted/eeee.jpg']);
+    const result = await reconcile({ storage, albums: [ALBUM], heldKeys, busySlugs: new Set(['deleted']) });
+
+    const [album] = result.albums;
+    assert.deepEqual(album.orphans.map(object => object.key), ['album/dddd.jpg']);
+    assert.equal(album.held, 2);
+    assert.deepEqual(album.missing, [{ index: 1, kind: 'original', key: 'album/cccc.jpg' }]);
+    assert.equal(album.external, 1);
+    assert.equal(album.busy, false);
+
+    const [stray] = result.stray;
+    assert.equal(stray.prefix, 'deleted');
+    assert.equal(stray.objects, 2);
+    assert.deepEqual(stray.keys, ['deleted/ffff.jpg']);
+    assert.equal(stray.held, 1);
+    assert.equal(stray.busy, true);
+
+    assert.deepEqual(
+        [result.totals.objects, result.totals.orphans, result.totals.held, result.totals.missing],
+        [7, 2, 3, 1]
+    );
+});
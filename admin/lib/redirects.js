@@ -0,0 +1,81 @@
+const path = require('path');
+const fs = require('fs');
+const { parseFrontMatter } = require('./frontmatter');
+
+// Album URLs, as set by `permalink` in _config.yml
+const PERMALINK_PREFIX = '/virtual-photography/';
+
+// Helper: Permalink of an album
+function getPermalink(slug) {
+    return `${PERMALINK_PREFIX}${slug}`;
+}
+
+// Helper: Page content of a redirect stub
+// Rendered by _layouts/redirect.html, which forwards to `redirect_to`.
+function generateRedirectStub(fromSlug, toSlug) {
+    return `---
+layout: redirect
+permalink: ${getPermalink(fromSlug)}
+redirect_to: ${getPermalink(toSlug)}
+---
+`;
+}
+
+// Redirect stubs for renamed albums
+// Each stub is a page in `dir` named after the old slug, published at the
+// old permalink so shared links keep working.
+function createRedirects({ dir }) {
+    function getStubPath(slug) {
+        return path.join(dir, `${slug}.html`);
+    }
+
+    // Slugs whose stub forwards to `slug`
+    function findRedirectsTo(slug) {
+        if (!fs.existsSync(dir)) return [];
+        const target = getPermalink(slug);
+        return fs.readdirSync(dir)
+            .filter(f => f.endsWith('.html'))
+            .filter(f => {
+                try {
+                    return parseFrontMatter(fs.readFileSync(path.join(dir, f), 'utf8')).redirect_to === target;
+                } catch (e) {
+                    console.error(`Error reading redirect ${f}:`, e.message);
+                    return false;
+                }
+            })
+            .map(f => f.slice(0, -'.html'.length));
+    }
+
+    // Stage a redirect from an album's old slug to its new one
+    // Stubs that forwarded to the old slug are pointed at the new one, so
+    // links never go through more than one redirect, and a stub at the new
+    // slug (the album got its old name back) is removed.
+    function stageRename(tx, fromSlug, toSlug) {
+        fs.mkdirSync(dir, { recursive: true });
+        tx.writeFile(getStubPath(fromSlug), generateRedirectStub(fromSlug, toSlug));
+        for (const slug of findRedirectsTo(fromSlug)) {
+            if (slug !== toSlug) {
+                tx.writeFile(getStubPath(slug), generateRedirectStub(slug, toSlug));
+            }
+        }
+        stageRelease(tx, toSlug);
+    }
+
+    // Stage removal of the stub at a slug a new album is taking
+    function stageRelease(tx, slug) {
+        if (fs.existsSync(getStubPath(slug))) {
+            tx.removeFile(getStubPath(slug));
+        }
+    }
+
+    return {
+        findRedirectsTo,
+        stageRename,
+        stageRelease
+    };
+}
+
+module.exports = {
+    getPermalink,
+    createRedirects
+};
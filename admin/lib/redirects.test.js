@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { createTempDir, createTestStorage } = require('../test/fixtures');
+const { parseFrontMatter } = require('./frontmatter');
+const { runTransaction } = require('./transaction');
+const { transferImages } = require('./transfer');
+const { createRedirects } = require('./redirects');
+
+// Helper: Where the stub at a slug forwards to, or null without one
+function readStub(dir, slug) {
+    const stubPath = path.join(dir, `${slug}.html`);
+    if (!fs.existsSync(stubPath)) return null;
+    const frontMatter = parseFrontMatter(fs.readFileSync(stubPath, 'utf8'));
+    assert.equal(frontMatter.layout, 'redirect');
+    assert.equal(frontMatter.permalink, `/virtual-photography/${slug}`);
+    return frontMatter.redirect_to;
+}
+
+test('renamed albums leave one redirect hop at each old permalink', async (t) => {
+    const tmp = createTempDir(t, 'redirects');
+    const dir = path.join(tmp, 'redirects');
+    const storage = createTestStorage(path.join(tmp, 'media'));
+    const redirects = createRedirects({ dir });
+    const rename = (from, to) => runTransaction(storage, tx => redirects.stageRename(tx, from, to));
+
+    await rename('first', 'second');
+    assert.equal(readStub(dir, 'first'), '/virtual-photography/second');
+
+    // Older stubs skip the intermediate name
+    await rename('second', 'third');
+    assert.equal(readStub(dir, 'first'), '/virtual-photography/third');
+    assert.equal(readStub(dir, 'second'), '/virtual-photography/third');
+    assert.deepEqual(redirects.findRedirectsTo('third').sort(), ['first', 'second']);
+
+    // Getting an old name back removes its stub instead of redirecting to itself
+    await rename('third', 'first');
+    assert.equal(readStub(dir, 'first'), null);
+    assert.equal(readStub(dir, 'second'), '/virtual-photography/first');
+    assert.equal(readStub(dir, 'third'), '/virtual-photography/first');
+
+    // A new album taking a redirected slug releases it
+    await runTransaction(storage, tx => redirects.stageRelease(tx, 'second'));
+    assert.equal(readStub(dir, 'second'), null);
+});
+
+test('moved images are copied to the new prefix and the old objects deleted on commit', async (t) => {
+    const storage = createTestStorage(createTempDir(t, 'redirects'));
+    await storage.put('old/aaaa.jpg', Buffer.from('a'));
+    await storage.put('old/30w/aaaa.webp', Buffer.from('b'));
+    const images = [
+        { url: storage.publicUrl('old/aaaa.jpg'), sizes: [{ width: 30, height: 20, webp: storage.publicUrl('old/30w/aaaa.webp') }] },
+        { url: 'https://i.imgur.com/legacy.jpeg' }
+    ];
+
+    const { result } = await runTransaction(storage, tx => transferImages({ storage, tx, images, fromSlug: 'old', toSlug: 'new', move: true }));
+    assert.equal(result[0].url, storage.publicUrl('new/aaaa.jpg'));
+    assert.deepEqual(result[0].sizes, [{ width: 30, height: 20, webp: storage.publicUrl('new/30w/aaaa.webp') }]);
+    assert.equal(result[1].url, 'https://i.imgur.com/legacy.jpeg');
+    assert.equal((await storage.get('new/30w/aaaa.webp')).toString(), 'b');
+    await assert.rejects(storage.get('old/aaaa.jpg'));
+
+    // A rename that fails leaves the album where it was
+    await assert.rejects(runTransaction(storage, async tx => {
+        await transferImages({ storage, tx, images: result, fromSlug: 'new', toSlug: 'other', move: true });
+        throw new Error('Post file is missing');
+    }), /Post file is missing/);
+    await assert.rejects(storage.get('other/aaaa.jpg'));
+    assert.equal((await storage.get('new/aaaa.jpg')).toString(), 'a');
+});
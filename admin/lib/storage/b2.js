@@ -0,0 +1,269 @@
+const B2 = require('backblaze-b2');
+const { withRetry } = require('../concurrency');
+
+// Download host of buckets configured without download_url; the URLs of
+// albums uploaded before it was configurable use it
+const DEFAULT_DOWNLOAD_URL = 'https://f003.backblazeb2.com';
+
+// Status codes B2 documents as transient: get a new upload URL (or token) and
+// try again
+const RETRYABLE_STATUS = [401, 408, 429, 500, 503];
+
+// Backblaze B2 storage backend
+// Config keys: application_key_id, application_key, bucket_name, bucket_id
+// (required for keys restricted to one bucket), use_cdn, cdn_domain,
+// download_url (e.g. https://f003.backblazeb2.com) and max_retries.
+//
+// Public URLs must not change while the admin runs: images are matched to
+// their stored objects by URL. So the download host comes from the config
+// alone, never from the account's authorization.
+function createB2Storage(config) {
+    const downloadUrl = (config.download_url || DEFAULT_DOWNLOAD_URL).replace(/\/$/, '');
+
+    const b2 = new B2({
+        applicationKeyId: config.application_key_id,
+        applicationKey: config.application_key
+    });
+
+    let b2AuthData = null;
+    let b2BucketId = null;
+    let b2AuthExpiry = 0;
+
+    let authorizing = null;
+
+    // Helper: Authorize B2
+    // Concurrent callers share a single in-flight authorization.
+    async function authorizeB2(forceRefresh = false) {
+        if (authorizing) {
+            return authorizing;
+        }
+        const now = Date.now();
+        // Reauthorize if no auth data, expired (23 hours), or forced
+        if (b2AuthData && now <= b2AuthExpiry && !forceRefresh) {
+            return b2AuthData;
+        }
+
+        authorizing = (async () => {
+            console.log('Authorizing B2...');
+            b2AuthData = (await b2.authorize()).data;
+            b2AuthExpiry = now + (23 * 60 * 60 * 1000); // 23 hours
+            if (!config.download_url && !(config.use_cdn && config.cdn_domain) && b2AuthData.downloadUrl !== downloadUrl) {
+                console.warn(`This account downloads from ${b2AuthData.downloadUrl}; set "download_url" in the storage config to link to it`);
+            }
+
+            // Get bucket ID - try from config first, then from API
+            if (config.bucket_id) {
+                b2BucketId = config.bucket_id;
+                console.log('B2 authorized. Using bucket ID from config:', b2BucketId);
+            } else {
+                try {
+                    const buckets = await b2.listBuckets();
+                    const bucket = buckets.data.buckets.find(b => b.bucketName === config.bucket_name);
+                    if (bucket) {
+                        b2BucketId = bucket.bucketId;
+                        console.log('B2 authorized. Bucket ID:', b2BucketId);
+                    } else {
+                        throw new Error(`Bucket ${config.bucket_name} not found`);
+                    }
+                } catch (e) {
+                    // If listBuckets fails, we need bucket_id in config
+                    console.error('Cannot list buckets. Please add "bucket_id" to the B2 config');
+                    throw new Error('bucket_id required in config when using limited app key');
+                }
+            }
+            return b2AuthData;
+        })();
+
+        try {
+            return await authorizing;
+        } finally {
+            authorizing = null;
+        }
+    }
+
+    // Upload URL pool
+    // B2 recommends one upload URL per upload thread, reused until it fails.
+    // Concurrent uploads each take a URL from the pool and return it when
+    // they succeed; a URL that failed is dropped.
+    const uploadUrlPool = [];
+    const maxRetries = config.max_retries ?? 5;
+
+    async function acquireUploadUrl() {
+        if (uploadUrlPool.length > 0) {
+            return uploadUrlPool.pop();
+        }
+        try {
+            const response = await b2.getUploadUrl({ bucketId: b2BucketId });
+            return response.data;
+        } catch (err) {
+            // A 401 here means the account token expired, not the upload URL
+            err.accountRequest = true;
+            throw err;
+        }
+    }
+
+    // Helper: Status and error code of a failed B2 request
+    function getErrorInfo(err) {
+        return {
+            status: err.response ? err.response.status : null,
+            code: err.response && err.response.data ? err.response.data.code : null
+        };
+    }
+
+    // Helper: Whether a failed request is worth retrying
+    // Requests that never got a response (timeouts, resets) are retried too.
+    function isRetryable(err) {
+        const { status } = getErrorInfo(err);
+        return status === null || RETRYABLE_STATUS.includes(status);
+    }
+
+    // Helper: Call a B2 API with the account token, reauthorizing on 401
+    async function callB2(fn) {
+        await authorizeB2();
+        return withRetry(fn, {
+            retries: maxRetries,
+            isRetryable,
+            onRetry: async (err, attempt) => {
+                const { status, code } = getErrorInfo(err);
+                console.warn(`B2 request failed (${status || err.code}${code ? ` ${code}` : ''}), retry ${attempt}`);
+                if (status === 401) {
+                    await authorizeB2(true);
+                }
+            }
+        });
+    }
+
+    async function put(key, buffer, contentType) {
+        await authorizeB2();
+
+        return withRetry(async () => {
+            const uploadUrl = await acquireUploadUrl();
+            const response = await b2.uploadFile({
+                uploadUrl: uploadUrl.uploadUrl,
+                uploadAuthToken: uploadUrl.authorizationToken,
+                fileName: key,
+                data: buffer,
+                mime: contentType
+            });
+            uploadUrlPool.push(uploadUrl);
+            return { key, size: response.data.contentLength };
+        }, {
+            retries: maxRetries,
+            isRetryable,
+            onRetry: async (err, attempt) => {
+                // The failed upload URL is not returned to the pool; the next
+                // attempt fetches a fresh one
+                const { status, code } = getErrorInfo(err);
+                console.warn(`Upload of ${key} failed (${status || err.code}${code ? ` ${code}` : ''}), retry ${attempt}`);
+                if (status === 401 && err.accountRequest) {
+                    await authorizeB2(true);
+                }
+            }
+        });
+    }
+
+    // Helper: Call a B2 API that backblaze-b2 doesn't wrap
+    // Failures are thrown in the shape axios uses, so callB2 retries them.
+    async function callB2Api(name, body) {
+        return callB2(async () => {
+            const response = await fetch(`${b2AuthData.apiUrl}/b2api/v2/${name}`, {
+                method: 'POST',
+                headers: {
+                    Authorization: b2AuthData.authorizationToken,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                const err = new Error(`${name} failed: ${data.message || response.status}`);
+                err.response = { status: response.status, data };
+                throw err;
+            }
+            return { data };
+        });
+    }
+
+    async function get(key) {
+        const response = await callB2(() => b2.downloadFileByName({
+            bucketName: config.bucket_name,
+            fileName: key,
+            responseType: 'arraybuffer'
+        }));
+        return Buffer.from(response.data);
+    }
+
+    async function copy(fromKey, toKey) {
+        const files = await callB2(() => b2.listFileNames({
+            bucketId: b2BucketId,
+            startFileName: fromKey,
+            prefix: fromKey,
+            maxFileCount: 1
+        }));
+        const file = files.data.files.find(f => f.fileName === fromKey);
+        if (!file) {
+            throw new Error(`${fromKey} not found in storage`);
+        }
+        await callB2Api('b2_copy_file', { sourceFileId: file.fileId, fileName: toKey });
+        return { key: toKey };
+    }
+
+    async function del(key) {
+        // First, get file versions
+        const files = await callB2(() => b2.listFileVersions({
+            bucketId: b2BucketId,
+            startFileName: key,
+            prefix: key,
+            maxFileCount: 1
+        }));
+
+        const file = files.data.files.find(f => f.fileName === key);
+        if (file) {
+            await callB2(() => b2.deleteFileVersion({
+                fileId: file.fileId,
+                fileName: file.fileName
+            }));
+            return true;
+        }
+        return false;
+    }
+
+    async function list(prefix) {
+        const objects = [];
+        let startFileName = null;
+        do {
+            const response = await callB2(() => b2.listFileNames({
+                bucketId: b2BucketId,
+                prefix: prefix,
+                startFileName: startFileName,
+                maxFileCount: 1000
+            }));
+            for (const file of response.data.files) {
+                objects.push({ key: file.fileName, size: file.contentLength });
+            }
+            startFileName = response.data.nextFileName;
+        } while (startFileName);
+
+        return objects;
+    }
+
+    function publicUrl(key) {
+        if (config.use_cdn && config.cdn_domain) {
+            return `https://${config.cdn_domain}/${key}`;
+        }
+        return `${downloadUrl}/file/${config.bucket_name}/${key}`;
+    }
+
+    return {
+        type: 'b2',
+        description: `B2 bucket ${config.bucket_name}`,
+        put,
+        get,
+        copy,
+        delete: del,
+        list,
+        publicUrl
+    };
+}
+
+module.exports = createB2Storage;
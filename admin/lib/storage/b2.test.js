@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const B2 = require('backblaze-b2');
+const createB2Storage = require('./b2');
+
+// Helper: An error shaped like the ones backblaze-b2 throws for a response
+function b2Error(status, code) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), {
+        response: { status, data: { code } }
+    });
+}
+
+// Helper: B2 storage over a fake account
+// `uploadUrls` and `uploads` list the responses of those calls in turn: an
+// error to throw or nothing to succeed. Retries wait no time.
+function setup(t, { uploads = [], uploadUrls = [] } = {}) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(global, 'setTimeout', (fn) => setImmediate(fn));
+    const calls = { authorize: 0, uploadUrls: 0, uploads: [] };
+
+    t.mock.method(B2.prototype, 'authorize', async () => {
+        calls.authorize++;
+        return { data: { downloadUrl: 'https://f005.backblazeb2.com', authorizationToken: `account-${calls.authorize}` } };
+    });
+    t.mock.method(B2.prototype, 'getUploadUrl', async () => {
+        const result = uploadUrls[calls.uploadUrls];
+        calls.uploadUrls++;
+        if (result instanceof Error) throw result;
+        return { data: { uploadUrl: `https://upload/${calls.uploadUrls}`, authorizationToken: `upload-${calls.uploadUrls}` } };
+    });
+    t.mock.method(B2.prototype, 'uploadFile', async ({ uploadUrl, data }) => {
+        const result = uploads[calls.uploads.length];
+        calls.uploads.push(uploadUrl);
+        if (result instanceof Error) throw result;
+        return { data: { contentLength: data.length } };
+    });
+
+    const storage = createB2Storage({
+        application_key_id: 'id',
+        application_key: 'key',
+        bucket_name: 'bucket',
+        bucket_id: 'bucket-id',
+        max_retries: 3
+    });
+    return { storage, calls };
+}
+
+test('uploads retry transient failures on a fresh upload URL', async (t) => {
+    const { storage, calls } = setup(t, { uploads: [b2Error(503, 'service_unavailable'), b2Error(401, 'expired_auth_token')] });
+
+    assert.deepEqual(await storage.put('album/aaaa.jpg', Buffer.from('abc'), 'image/jpeg'), { key: 'album/aaaa.jpg', size: 3 });
+    assert.deepEqual(calls.uploads, ['https://upload/1', 'https://upload/2', 'https://upload/3']);
+    // An expired upload URL doesn't need a new account token
+    assert.equal(calls.authorize, 1);
+
+    // The URL that worked is reused
+    await storage.put('album/bbbb.jpg', Buffer.from('d'), 'image/jpeg');
+    assert.equal(calls.uploads[3], 'https://upload/3');
+    assert.equal(calls.uploadUrls, 3);
+});
+
+test('an expired account token is refreshed before retrying', async (t) => {
+    const { storage, calls } = setup(t, { uploadUrls: [b2Error(401, 'expired_auth_token')] });
+
+    await storage.put('album/aaaa.jpg', Buffer.from('abc'), 'image/jpeg');
+    assert.equal(calls.authorize, 2);
+    assert.deepEqual(calls.uploads, ['https://upload/2']);
+});
+
+test('client errors and exhausted retries fail the upload', async (t) => {
+    const badRequest = b2Error(400, 'bad_request');
+    const { storage, calls } = setup(t, { uploads: [badRequest] });
+    await assert.rejects(storage.put('album/aaaa.jpg', Buffer.from('abc'), 'image/jpeg'), badRequest);
+    assert.equal(calls.uploads.length, 1);
+
+    const unavailable = b2Error(503, 'service_unavailable');
+    const failing = setup(t, { uploads: Array(10).fill(unavailable) });
+    await assert.rejects(failing.storage.put('album/aaaa.jpg', Buffer.from('abc'), 'image/jpeg'), unavailable);
+    // The first attempt and max_retries more
+    assert.equal(failing.calls.uploads.length, 4);
+});
@@ -0,0 +1,29 @@
+const createB2Storage = require('./b2');
+const createS3Storage = require('./s3');
+const createLocalStorage = require('./local');
+
+// Storage backends
+// Every backend exposes the same interface:
+//   put(key, buffer, contentType) -> { key, size }
+//   get(key)                      -> Buffer with the object's contents
+//   copy(fromKey, toKey)          -> { key }, copied server-side
+//   delete(key)                   -> true if an object was removed
+//   list(prefix)                  -> [{ key, size }]
+//   publicUrl(key)                -> URL the site should link to
+// and optionally mount(app) to serve files from the admin itself.
+const backends = {
+    b2: createB2Storage,
+    s3: createS3Storage,
+    local: createLocalStorage
+};
+
+function createStorage(config, options = {}) {
+    const type = config.type || 'b2';
+    const factory = backends[type];
+    if (!factory) {
+        throw new Error(`Unknown storage type "${type}". Expected one of: ${Object.keys(backends).join(', ')}`);
+    }
+    return factory(config, options);
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,102 @@
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+
+// Local-disk storage backend
+// Files are written under `dir` and served by the admin app itself at
+// `url_path`, so albums can be built and previewed without any cloud account.
+// Config keys: dir, url_path, public_url (defaults to the admin's own host).
+function createLocalStorage(config, { port }) {
+    const rootDir = path.resolve(config.dir || path.join(__dirname, '..', '..', 'media'));
+    const urlPath = config.url_path || '/media';
+    const baseUrl = (config.public_url || `http://localhost:${port}${urlPath}`).replace(/\/$/, '');
+
+    // Helper: Resolve a key to a path inside rootDir
+    function resolveKey(key) {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async function put(key, buffer) {
+        const filePath = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+        return { key, size: buffer.length };
+    }
+
+    async function get(key) {
+        return fs.promises.readFile(resolveKey(key));
+    }
+
+    async function copy(fromKey, toKey) {
+        const filePath = resolveKey(toKey);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.copyFile(resolveKey(fromKey), filePath);
+        return { key: toKey };
+    }
+
+    async function del(key) {
+        try {
+            await fs.promises.unlink(resolveKey(key));
+            return true;
+        } catch (err) {
+            if (err.code === 'ENOENT') return false;
+            throw err;
+        }
+    }
+
+    async function list(prefix) {
+        const objects = [];
+
+        async function walk(dir) {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (err) {
+                if (err.code === 'ENOENT') return;
+                throw err;
+            }
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else {
+                    const key = path.relative(rootDir, fullPath).split(path.sep).join('/');
+                    if (key.startsWith(prefix)) {
+                        const stat = await fs.promises.stat(fullPath);
+                        objects.push({ key, size: stat.size });
+                    }
+                }
+            }
+        }
+
+        await walk(rootDir);
+        return objects.sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    function publicUrl(key) {
+        return `${baseUrl}/${key}`;
+    }
+
+    // Serve stored files from the admin app
+    function mount(app) {
+        app.use(urlPath, express.static(rootDir));
+    }
+
+    return {
+        type: 'local',
+        description: `Local directory ${rootDir}`,
+        put,
+        get,
+        copy,
+        delete: del,
+        list,
+        publicUrl,
+        mount
+    };
+}
+
+module.exports = createLocalStorage;
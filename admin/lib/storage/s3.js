@@ -0,0 +1,105 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    CopyObjectCommand,
+    DeleteObjectCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+// S3-compatible storage backend (AWS S3, Cloudflare R2, MinIO, B2's S3 API...)
+// Config keys: bucket, region, endpoint, access_key_id, secret_access_key,
+// force_path_style, public_url (base URL objects are served from) and
+// max_retries. The SDK retries throttling and 5xx errors with backoff itself.
+function createS3Storage(config) {
+    const client = new S3Client({
+        region: config.region || 'us-east-1',
+        endpoint: config.endpoint,
+        forcePathStyle: !!config.force_path_style,
+        maxAttempts: (config.max_retries ?? 5) + 1,
+        credentials: {
+            accessKeyId: config.access_key_id,
+            secretAccessKey: config.secret_access_key
+        }
+    });
+
+    async function put(key, buffer, contentType) {
+        await client.send(new PutObjectCommand({
+            Bucket: config.bucket,
+            Key: key,
+            Body: buffer,
+            ContentType: contentType
+        }));
+        return { key, size: buffer.length };
+    }
+
+    async function get(key) {
+        const response = await client.send(new GetObjectCommand({ Bucket: config.bucket, Key: key }));
+        return Buffer.from(await response.Body.transformToByteArray());
+    }
+
+    async function copy(fromKey, toKey) {
+        await client.send(new CopyObjectCommand({
+            Bucket: config.bucket,
+            Key: toKey,
+            CopySource: `${config.bucket}/${fromKey.split('/').map(encodeURIComponent).join('/')}`
+        }));
+        return { key: toKey };
+    }
+
+    async function del(key) {
+        // DeleteObject succeeds for missing keys, so check first to report it
+        try {
+            await client.send(new HeadObjectCommand({ Bucket: config.bucket, Key: key }));
+        } catch (err) {
+            if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) {
+                return false;
+            }
+            throw err;
+        }
+        await client.send(new DeleteObjectCommand({ Bucket: config.bucket, Key: key }));
+        return true;
+    }
+
+    async function list(prefix) {
+        const objects = [];
+        let continuationToken;
+        do {
+            const response = await client.send(new ListObjectsV2Command({
+                Bucket: config.bucket,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            }));
+            for (const object of response.Contents || []) {
+                objects.push({ key: object.Key, size: object.Size });
+            }
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return objects;
+    }
+
+    function publicUrl(key) {
+        if (config.public_url) {
+            return `${config.public_url.replace(/\/$/, '')}/${key}`;
+        }
+        if (config.endpoint) {
+            return `${config.endpoint.replace(/\/$/, '')}/${config.bucket}/${key}`;
+        }
+        return `https://${config.bucket}.s3.${config.region || 'us-east-1'}.amazonaws.com/${key}`;
+    }
+
+    return {
+        type: 's3',
+        description: `S3 bucket ${config.bucket}${config.endpoint ? ` at ${config.endpoint}` : ''}`,
+        put,
+        get,
+        copy,
+        delete: del,
+        list,
+        publicUrl
+    };
+}
+
+module.exports = createS3Storage;
@@ -0,0 +1,197 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Storage deletions run in parallel after a commit
+const DELETE_CONCURRENCY = 4;
+
+// Helper: Write a file atomically
+// The content goes to a temporary dotfile in the same directory (Jekyll ignores
+// dotfiles) which is then renamed over the target, so readers only ever see
+// the old or the new content.
+function writeFileAtomic(filePath, content) {
+    const tempPath = path.join(
+        path.dirname(filePath),
+        `.${path.basename(filePath)}.${crypto.randomBytes(4).toString('hex')}.tmp`
+    );
+    try {
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (err) {
+        fs.rmSync(tempPath, { force: true });
+        throw err;
+    }
+}
+
+// Album mutation transaction
+// Operations stage their changes instead of applying them as they go:
+//   - upload(key, ...)          uploads now, deleted again on rollback
+//   - copy(fromKey, toKey)      copies now, deleted again on rollback
+//   - writeFile(path, content)  staged, written atomically on commit
+//   - removeFile(path)          staged, removed on commit
+//   - deleteObject(key)         deleted from storage only after commit, since
+//                               remote deletions can't be undone
+// commit() applies the staged file changes. If any of them fails, files that
+// were already changed are restored from their previous content and uploaded
+// objects are deleted. It returns the content of every changed file before
+// and after, so the change can be recorded in the history. With
+// `deferDeletes`, storage deletions are left to the caller (the history
+// delays them so the change can still be undone).
+function createTransaction(storage) {
+    const uploads = [];
+    const fileOps = [];
+    const objectDeletes = [];
+    let finished = false;
+
+    async function upload(key, buffer, contentType) {
+        const result = await storage.put(key, buffer, contentType);
+        uploads.push(key);
+        return result;
+    }
+
+    async function copy(fromKey, toKey) {
+        const result = await storage.copy(fromKey, toKey);
+        uploads.push(toKey);
+        return result;
+    }
+
+    // Record an object uploaded outside the transaction so rollback removes it
+    function trackUpload(key) {
+        uploads.push(key);
+    }
+
+    function writeFile(filePath, content) {
+        fileOps.push({ type: 'write', filePath, content });
+    }
+
+    function removeFile(filePath) {
+        fileOps.push({ type: 'remove', filePath });
+    }
+
+    function deleteObject(key) {
+        objectDeletes.push(key);
+    }
+
+    // Helper: Delete uploaded objects, logging failures
+    async function deleteUploads() {
+        for (const key of uploads) {
+            try {
+                await storage.delete(key);
+            } catch (e) {
+                console.error(`Error deleting ${key} during rollback:`, e.message);
+            }
+        }
+    }
+
+    // Helper: Restore files to their content before the commit
+    function restoreFiles(backups) {
+        for (const [filePath, content] of backups) {
+            try {
+                if (content === null) {
+                    fs.rmSync(filePath, { force: true });
+                } else {
+                    writeFileAtomic(filePath, content);
+                }
+            } catch (e) {
+                console.error(`Error restoring ${filePath}:`, e.message);
+            }
+        }
+    }
+
+    async function commit({ deferDeletes = false } = {}) {
+        if (finished) throw new Error('Transaction already finished');
+        finished = true;
+
+        // Back up every file the operation touches
+        const backups = new Map();
+        for (const op of fileOps) {
+            if (!backups.has(op.filePath)) {
+                backups.set(op.filePath, fs.existsSync(op.filePath) ? fs.readFileSync(op.filePath) : null);
+            }
+        }
+
+        try {
+            for (const op of fileOps) {
+                if (op.type === 'write') {
+                    writeFileAtomic(op.filePath, op.content);
+                } else {
+                    fs.rmSync(op.filePath, { force: true });
+                }
+            }
+        } catch (err) {
+            restoreFiles(backups);
+            await deleteUploads();
+            throw err;
+        }
+
+        const changes = [...backups].map(([filePath, before]) => {
+            const last = fileOps.filter(op => op.filePath === filePath).pop();
+            return {
+                filePath,
+                before: before === null ? null : before.toString('utf8'),
+                after: last.type === 'write' ? String(last.content) : null
+            };
+        });
+        if (deferDeletes) {
+            return { failedDeletes: [], changes, deferredDeletes: [...objectDeletes] };
+        }
+        
+        // Remote deletions run last; failures leave orphans but don't undo the commit
+        const failedDeletes = [];
+        await mapWithConcurrency(objectDeletes, DELETE_CONCURRENCY, async (key) => {
+            try {
+                await storage.delete(key);
+            } catch (e) {
+                console.error(`Error deleting ${key} from storage:`, e.message);
+                failedDeletes.push(key);
+            }
+        });
+        return { failedDeletes, changes, deferredDeletes: [] };
+    }
+
+    async function rollback() {
+        if (finished) return;
+        finished = true;
+        await deleteUploads();
+    }
+
+    return {
+        upload,
+        copy,
+        trackUpload,
+        writeFile,
+        removeFile,
+        deleteObject,
+        commit,
+        rollback
+    };
+}
+
+// Helper: Run an album mutation as a transaction
+// `fn` stages its changes on the transaction; they are committed when it
+// returns, or rolled back if it throws. `options` are passed to commit().
+async function runTransaction(storage, fn, options) {
+    const tx = createTransaction(storage);
+    let result;
+    try {
+        result = await fn(tx);
+    } catch (err) {
+        await tx.rollback();
+        throw err;
+    }
+    const { failedDeletes, changes, deferredDeletes } = await tx.commit(options);
+    return { result, failedDeletes, changes, deferredDeletes };
+}
+
+module.exports = {
+    writeFileAtomic,
+    createTransaction,
+    runTransaction
+};
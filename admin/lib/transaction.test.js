@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { createTempDir, createTestStorage } = require('../test/fixtures');
+const { writeFileAtomic, runTransaction } = require('./transaction');
+
+// Helper: A site directory with two album files and storage holding one
+// object that the transactions delete
+async function setup(t) {
+    const dir = createTempDir(t, 'transaction');
+    const storage = createTestStorage(path.join(dir, 'media'));
+    await storage.put('album/old.jpg', Buffer.from('old'));
+    fs.writeFileSync(path.join(dir, 'album.json'), '[1]');
+    fs.writeFileSync(path.join(dir, 'post.md'), 'post');
+    return { dir, storage };
+}
+
+async function exists(storage, key) {
+    return storage.get(key).then(() => true, () => false);
+}
+
+test('a commit that fails midway restores the files it changed', async (t) => {
+    const { dir, storage } = await setup(t);
+    t.mock.method(console, 'error', () => {});
+
+    await assert.rejects(runTransaction(storage, async tx => {
+        await tx.upload('album/new.jpg', Buffer.from('new'));
+        tx.deleteObject('album/old.jpg');
+        tx.writeFile(path.join(dir, 'album.json'), '[1,2]');
+        tx.removeFile(path.join(dir, 'post.md'));
+        tx.writeFile(path.join(dir, 'added.json'), '[]');
+        // Fails: its directory doesn't exist
+        tx.writeFile(path.join(dir, 'missing', 'album.json'), '[]');
+    }), { code: 'ENOENT' });
+
+    assert.equal(fs.readFileSync(path.join(dir, 'album.json'), 'utf8'), '[1]');
+    assert.equal(fs.readFileSync(path.join(dir, 'post.md'), 'utf8'), 'post');
+    assert.equal(fs.existsSync(path.join(dir, 'added.json')), false);
+    assert.equal(await exists(storage, 'album/new.jpg'), false);
+    // The deletion was never run
+    assert.equal(await exists(storage, 'album/old.jpg'), true);
+    // No temporary files are left behind
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['album.json', 'media', 'post.md']);
+});
+
+test('an operation that throws is rolled back before anything is written', async (t) => {
+    const { dir, storage } = await setup(t);
+
+    await assert.rejects(runTransaction(storage, async tx => {
+        await tx.upload('album/new.jpg', Buffer.from('new'));
+        await tx.copy('album/old.jpg', 'other/old.jpg');
+        tx.deleteObject('album/old.jpg');
+        tx.writeFile(path.join(dir, 'album.json'), '[1,2]');
+        throw new Error('Image could not be processed');
+    }), /Image could not be processed/);
+
+    assert.equal(fs.readFileSync(path.join(dir, 'album.json'), 'utf8'), '[1]');
+    assert.equal(await exists(storage, 'album/new.jpg'), false);
+    assert.equal(await exists(storage, 'other/old.jpg'), false);
+    assert.equal(await exists(storage, 'album/old.jpg'), true);
+});
+
+test('committed changes are reported and deletions run or are handed back', async (t) => {
+    const { dir, storage } = await setup(t);
+
+    const deferred = await runTransaction(storage, async tx => {
+        tx.deleteObject('album/old.jpg');
+        tx.writeFile(path.join(dir, 'album.json'), '[1,2]');
+        tx.removeFile(path.join(dir, 'post.md'));
+    }, { deferDeletes: true });
+    assert.deepEqual(deferred.changes, [
+        { filePath: path.join(dir, 'album.json'), before: '[1]', after: '[1,2]' },
+        { filePath: path.join(dir, 'post.md'), before: 'post', after: null }
+    ]);
+    assert.deepEqual(deferred.deferredDeletes, ['album/old.jpg']);
+    assert.equal(await exists(storage, 'album/old.jpg'), true);
+
+    const immediate = await runTransaction(storage, async tx => tx.deleteObject('album/old.jpg'));
+    assert.deepEqual(immediate.failedDeletes, []);
+    assert.equal(await exists(storage, 'album/old.jpg'), false);
+});
+
+test('atomic writes replace the file whole', async (t) => {
+    const dir = createTempDir(t, 'transaction');
+    const filePath = path.join(dir, 'album.json');
+    writeFileAtomic(filePath, '[1]');
+    writeFileAtomic(filePath, '[1,2]');
+    assert.equal(fs.readFileSync(filePath, 'utf8'), '[1,2]');
+    assert.deepEqual(fs.readdirSync(dir), ['album.json']);
+});
@@ -0,0 +1,85 @@
+const { getOwnKey } = require('./images');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Server-side copies run in parallel
+const COPY_CONCURRENCY = 4;
+
+// Default card and banner crop, used when the image they showed is gone
+const DEFAULT_CROP = { offset: 50, offsetX: 50, zoom: 100 };
+
+// Copy images into another album
+// Every file the entries reference in our storage is copied server-side from
+// `<fromSlug>/` to `<toSlug>/` and the URLs are rewritten; external URLs
+// (legacy imgur links) are kept as they are. The copies are tracked by `tx`,
+// so a rollback deletes them. With `move`, the source objects are deleted
+// once the transaction commits.
+// Returns the new image entries.
+async function transferImages({ storage, tx, images, fromSlug, toSlug, move = false }) {
+    const keyMap = new Map();
+    const rebase = url => {
+        const key = getOwnKey(storage, url, fromSlug);
+        if (!key) return url;
+        const rest = key.startsWith(`${fromSlug}/`) ? key.slice(fromSlug.length + 1) : key;
+        const newKey = `${toSlug}/${rest}`;
+        keyMap.set(key, newKey);
+        return storage.publicUrl(newKey);
+    };
+
+    const entries = images.map(image => {
+        const entry = { ...image, url: rebase(image.url), thumb: rebase(image.thumb) };
+        if (image.sizes) {
+            entry.sizes = image.sizes.map(size => Object.fromEntries(Object.entries(size).map(([key, value]) => (
+                key === 'width' || key === 'height' ? [key, value] : [key, rebase(value)]
+            ))));
+        }
+        return entry;
+    });
+
+    await mapWithConcurrency([...keyMap], COPY_CONCURRENCY, ([fromKey, toKey]) => tx.copy(fromKey, toKey));
+    if (move) {
+        keyMap.forEach((toKey, fromKey) => tx.deleteObject(fromKey));
+    }
+    return entries;
+}
+
+// Card and banner settings after an album's images changed
+// `oldIndexes` lists the old index of each image in the new list. A card or
+// banner keeps its crop if its image is still there (at its new index);
+// otherwise it falls back to the first image with the default crop.
+// Returns { cardImage, cardOffset, ..., bannerZoom } like the album index.
+function remapCovers(album, oldIndexes) {
+    const covers = {};
+    for (const prefix of ['card', 'banner']) {
+        const index = oldIndexes.indexOf(album[`${prefix}Image`]);
+        const crop = index >= 0 ? {
+            offset: album[`${prefix}Offset`],
+            offsetX: album[`${prefix}OffsetX`],
+            zoom: album[`${prefix}Zoom`]
+        } : DEFAULT_CROP;
+        covers[`${prefix}Image`] = Math.max(index, 0);
+        covers[`${prefix}Offset`] = crop.offset;
+        covers[`${prefix}OffsetX`] = crop.offsetX;
+        covers[`${prefix}Zoom`] = crop.zoom;
+    }
+    return covers;
+}
+
+// Helper: Front matter keys for card and banner settings
+function getCoverFrontMatter(covers) {
+    return {
+        'card-image': covers.cardImage,
+        'card-offset': covers.cardOffset,
+        'card-offset-x': covers.cardOffsetX,
+        'card-zoom': covers.cardZoom,
+        'banner-image': covers.bannerImage,
+        'banner-offset': covers.bannerOffset,
+        'banner-offset-x': covers.bannerOffsetX,
+        'banner-zoom': covers.bannerZoom
+    };
+}
+
+module.exports = {
+    transferImages,
+    remapCovers,
+    getCoverFrontMatter
+};
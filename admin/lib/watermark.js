@@ -0,0 +1,182 @@
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+
+// Default watermark settings, part of the image processing settings
+//   enabled   add a watermark to images uploaded from now on
+//   type      'text' renders `text`; 'image' overlays the PNG named `image`
+//             from the watermarks directory
+//   position  corner or centre of the image
+//   opacity   0.05 - 1
+//   scale     width of the watermark relative to the image width, 0.02 - 1
+//   original  also watermark the stored original (derivatives always are)
+const DEFAULT_WATERMARK = {
+    enabled: false,
+    type: 'text',
+    text: '',
+    image: '',
+    position: 'bottom-right',
+    opacity: 0.5,
+    scale: 0.2,
+    original: false
+};
+
+const WATERMARK_TYPES = ['text', 'image'];
+
+// Positions and the sharp gravity they map to
+const WATERMARK_POSITIONS = {
+    'top-left': 'northwest',
+    'top-right': 'northeast',
+    'bottom-left': 'southwest',
+    'bottom-right': 'southeast',
+    'center': 'centre'
+};
+
+// Distance from the image edges, relative to the image width
+const MARGIN = 0.02;
+
+// Text is rendered at this size and then scaled to the watermark width
+const TEXT_FONT_SIZE = 200;
+
+// Rendered sources kept in memory; the live preview renders every edit
+const MAX_CACHED_SOURCES = 20;
+
+// Helper: Clamp a number setting, or return undefined if it isn't one
+function clampNumber(value, min, max) {
+    const number = parseFloat(value);
+    if (!isFinite(number)) return undefined;
+    return Math.min(Math.max(number, min), max);
+}
+
+// Helper: Merge watermark settings
+// Unknown keys and invalid values are ignored.
+function getWatermarkSettings(...overrides) {
+    const settings = { ...DEFAULT_WATERMARK };
+    for (const override of overrides) {
+        if (!override || typeof override !== 'object') continue;
+        for (const key of ['enabled', 'original']) {
+            if (typeof override[key] === 'boolean') settings[key] = override[key];
+        }
+        if (WATERMARK_TYPES.includes(override.type)) settings.type = override.type;
+        if (typeof override.text === 'string') settings.text = override.text.trim().slice(0, 200);
+        if (typeof override.image === 'string') settings.image = path.basename(override.image);
+        if (WATERMARK_POSITIONS[override.position]) settings.position = override.position;
+        const opacity = clampNumber(override.opacity, 0.05, 1);
+        if (opacity !== undefined) settings.opacity = opacity;
+        const scale = clampNumber(override.scale, 0.02, 1);
+        if (scale !== undefined) settings.scale = scale;
+    }
+    return settings;
+}
+
+// Helper: Whether watermark settings produce a watermark
+function isWatermarkActive(settings) {
+    if (!settings || !settings.enabled) return false;
+    return settings.type === 'text' ? !!settings.text : !!settings.image;
+}
+
+// Helper: Escape text for SVG
+function escapeXml(text) {
+    return text.replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// Watermark overlays
+// Signature PNGs are kept in `dir` and referenced by file name.
+function createWatermarker({ dir }) {
+    // Unscaled watermarks, by image file name or text
+    const sources = new Map();
+
+    // Helper: Watermark PNG file names
+    function list() {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.png')).sort();
+    }
+
+    // Store a signature PNG
+    // Returns { name } with its file name, or { name, exists: true } without
+    // storing it if a watermark of that name exists and `replace` isn't set:
+    // albums may use it, and replacing it changes their future watermarks.
+    async function save(name, buffer, { replace = false } = {}) {
+        const metadata = await sharp(buffer).metadata();
+        if (metadata.format !== 'png') {
+            throw new Error('Watermark images must be PNGs');
+        }
+        const base = path.basename(name, path.extname(name)).replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'watermark';
+        const fileName = `${base}.png`;
+        const filePath = path.join(dir, fileName);
+        if (!replace && fs.existsSync(filePath)) {
+            return { name: fileName, exists: true };
+        }
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(filePath, buffer);
+        sources.delete(fileName);
+        return { name: fileName };
+    }
+
+    // Helper: Unscaled watermark as a PNG buffer
+    async function getSource(settings) {
+        const cacheKey = settings.type === 'text' ? `text:${settings.text}` : settings.image;
+        if (!sources.has(cacheKey)) {
+            let source;
+            if (settings.type === 'text') {
+                const width = (settings.text.length + 2) * TEXT_FONT_SIZE;
+                const height = TEXT_FONT_SIZE * 2;
+                const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+                    <text x="${TEXT_FONT_SIZE / 2}" y="${TEXT_FONT_SIZE * 1.3}" font-family="sans-serif" font-size="${TEXT_FONT_SIZE}" font-weight="bold"
+                        fill="#ffffff" stroke="#000000" stroke-opacity="0.4" stroke-width="${TEXT_FONT_SIZE / 40}" paint-order="stroke">${escapeXml(settings.text)}</text>
+                </svg>`;
+                source = await sharp(Buffer.from(svg)).trim().png().toBuffer();
+            } else {
+                const filePath = path.join(dir, path.basename(settings.image));
+                if (!fs.existsSync(filePath)) {
+                    throw new Error(`Watermark image ${settings.image} not found`);
+                }
+                source = fs.readFileSync(filePath);
+            }
+            if (sources.size >= MAX_CACHED_SOURCES) sources.clear();
+            sources.set(cacheKey, source);
+        }
+        return sources.get(cacheKey);
+    }
+
+    // Composite input placing the watermark on an image of the given size
+    // Returns null if the settings don't produce a watermark.
+    async function getOverlay(settings, width, height) {
+        if (!isWatermarkActive(settings)) return null;
+
+        const margin = Math.round(width * MARGIN);
+        const maxWidth = Math.max(width - margin * 2, 1);
+        const maxHeight = Math.max(height - margin * 2, 1);
+        const overlayWidth = Math.max(Math.min(Math.round(width * settings.scale), maxWidth), 1);
+
+        const { data, info } = await sharp(await getSource(settings))
+            .resize(overlayWidth, maxHeight, { fit: 'inside' })
+            .ensureAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        for (let i = 3; i < data.length; i += 4) {
+            data[i] = Math.round(data[i] * settings.opacity);
+        }
+
+        const extend = settings.position === 'center' ? 0 : margin;
+        const input = await sharp(data, { raw: info })
+            .extend({ top: extend, bottom: extend, left: extend, right: extend, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+            .png()
+            .toBuffer();
+        return { input, gravity: WATERMARK_POSITIONS[settings.position] };
+    }
+
+    return {
+        list,
+        save,
+        getOverlay
+    };
+}
+
+module.exports = {
+    DEFAULT_WATERMARK,
+    WATERMARK_POSITIONS,
+    getWatermarkSettings,
+    isWatermarkActive,
+    createWatermarker
+};
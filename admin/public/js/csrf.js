@@ -0,0 +1,18 @@
+// Send the session's CSRF token with every mutating same-origin request
+// The token is rendered into <meta name="csrf-token"> by the server.
+(() => {
+    const token = document.querySelector('meta[name="csrf-token"]')?.content;
+    if (!token) return;
+
+    const originalFetch = window.fetch;
+    window.fetch = (input, init = {}) => {
+        const method = (init.method || (input instanceof Request ? input.method : 'GET')).toUpperCase();
+        const url = new URL(input instanceof Request ? input.url : input, window.location.href);
+        if (!['GET', 'HEAD', 'OPTIONS'].includes(method) && url.origin === window.location.origin) {
+            const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+            headers.set('X-CSRF-Token', token);
+            init = { ...init, headers };
+        }
+        return originalFetch(input, init);
+    };
+})();
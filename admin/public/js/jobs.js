@@ -0,0 +1,73 @@
+// Upload job helpers shared by the admin pages
+const VPJobs = (() => {
+    const FINISHED = ['done', 'failed', 'cancelled'];
+
+    const STATE_LABELS = {
+        pending: 'Waiting',
+        downloading: 'Downloading',
+        decoding: 'Decoding',
+        resizing: 'Resizing',
+        uploading: 'Uploading',
+        done: 'Done',
+        failed: 'Failed',
+        duplicate: 'Duplicate'
+    };
+
+    // Follow a job's progress. onUpdate receives every job snapshot; the
+    // stream is closed once the job has finished.
+    function watch(jobId, onUpdate) {
+        const source = new EventSource(`/upload/jobs/${jobId}/events`);
+        source.addEventListener('job', (e) => {
+            const job = JSON.parse(e.data);
+            onUpdate(job);
+            if (isFinished(job)) {
+                source.close();
+            }
+        });
+        return source;
+    }
+
+    function isFinished(job) {
+        return FINISHED.includes(job.status);
+    }
+
+    // Fraction of the job's images that are finished (done, failed or skipped)
+    function progress(job) {
+        if (job.total === 0) return 1;
+        return job.finished / job.total;
+    }
+
+    async function post(url) {
+        const response = await fetch(url, { method: 'POST' });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+        return data;
+    }
+
+    // Remember the job a page started, so it can reconnect after a reload
+    function remember(key, jobId) {
+        localStorage.setItem(`vp-job:${key}`, jobId);
+    }
+
+    function recall(key) {
+        return localStorage.getItem(`vp-job:${key}`);
+    }
+
+    function forget(key) {
+        localStorage.removeItem(`vp-job:${key}`);
+    }
+
+    return {
+        STATE_LABELS,
+        watch,
+        isFinished,
+        progress,
+        cancel: jobId => post(`/upload/jobs/${jobId}/cancel`),
+        resume: jobId => post(`/upload/jobs/${jobId}/resume`),
+        remember,
+        recall,
+        forget
+    };
+})();
@@ -0,0 +1,92 @@
+// Undo toast shared by the admin pages
+// Mutating routes return the id of the history revision they recorded.
+// VPUndo.offer() shows a toast with an Undo button for it. The offer is kept in
+// sessionStorage so it survives the reload most actions do afterwards, and
+// undoing goes back to the page the action was started from (a split or
+// rename may have navigated to an album the undo removes again).
+const VPUndo = (() => {
+    const STORAGE_KEY = 'vp-undo';
+    const OFFER_MS = 30 * 1000;
+
+    function load() {
+        try {
+            const offer = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+            return offer && offer.expires > Date.now() ? offer : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function clear() {
+        sessionStorage.removeItem(STORAGE_KEY);
+    }
+
+    function render(offer) {
+        let container = document.getElementById('undoToasts');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'undoToasts';
+            container.className = 'toast-container position-fixed bottom-0 end-0 p-3';
+            document.body.appendChild(container);
+        }
+        container.innerHTML = `
+            <div class="toast align-items-center border-0" role="status" style="background-color: #313244; color: #cdd6f4;">
+                <div class="d-flex">
+                    <div class="toast-body"></div>
+                    <button type="button" class="btn btn-sm btn-outline-light my-auto me-2 undo-btn">Undo</button>
+                    <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
+                </div>
+            </div>
+        `;
+        const element = container.querySelector('.toast');
+        element.querySelector('.toast-body').textContent = offer.message;
+
+        const toast = new bootstrap.Toast(element, { autohide: true, delay: Math.max(offer.expires - Date.now(), 1000) });
+        element.addEventListener('hidden.bs.toast', clear);
+
+        const button = element.querySelector('.undo-btn');
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            button.innerHTML = '<span class="spinner-border spinner-border-sm"></span>';
+            try {
+                const response = await fetch(`/upload/history/${offer.revision}/restore`, { method: 'POST' });
+                const data = await response.json();
+                if (!data.success) {
+                    throw new Error(data.error);
+                }
+                clear();
+                window.location.href = offer.returnTo;
+            } catch (err) {
+                element.querySelector('.toast-body').textContent = 'Undo failed: ' + err.message;
+                button.remove();
+            }
+        });
+        toast.show();
+    }
+
+    // Offer to undo a revision
+    function offer(revision, message) {
+        if (!revision) return;
+        const entry = {
+            revision,
+            message,
+            returnTo: window.location.pathname + window.location.search,
+            expires: Date.now() + OFFER_MS
+        };
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(entry));
+        render(entry);
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const pending = load();
+        if (pending) {
+            render(pending);
+        } else {
+            clear();
+        }
+    });
+
+    return {
+        offer
+    };
+})();
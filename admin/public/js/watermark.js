@@ -0,0 +1,144 @@
+// Watermark settings shared by the new and edit album pages
+// Reads the watermark fields of the image processing form and keeps a preview
+// up to date: every change is rendered on the server with the same code the
+// upload pipeline uses.
+const VPWatermark = (() => {
+    const PREVIEW_DELAY_MS = 400;
+    const PREVIEW_WIDTH = 1280;
+
+    let getSource = null;
+    let timer = null;
+    let previewUrl = null;
+    let requestId = 0;
+
+    const field = id => document.getElementById(id);
+
+    // Current settings, as stored under `processing.watermark`
+    function read() {
+        return {
+            enabled: field('wmEnabled').checked,
+            type: field('wmType').value,
+            text: field('wmText').value,
+            image: field('wmImage').value,
+            position: field('wmPosition').value,
+            opacity: parseInt(field('wmOpacity').value) / 100,
+            scale: parseInt(field('wmScale').value) / 100,
+            original: field('wmOriginal').checked
+        };
+    }
+
+    // Helper: Show the fields that apply to the current settings
+    function updateFields() {
+        const settings = read();
+        field('wmFields').style.display = settings.enabled ? '' : 'none';
+        field('wmTextGroup').style.display = settings.type === 'text' ? '' : 'none';
+        field('wmImageGroup').style.display = settings.type === 'image' ? '' : 'none';
+        field('wmOpacityValue').textContent = `${Math.round(settings.opacity * 100)}%`;
+        field('wmScaleValue').textContent = `${Math.round(settings.scale * 100)}%`;
+    }
+
+    async function renderPreview() {
+        const preview = field('wmPreview');
+        const formData = new FormData();
+        formData.append('watermark', JSON.stringify(read()));
+        const hasSource = getSource ? await getSource(formData) : false;
+        if (!hasSource || !read().enabled) {
+            preview.style.display = 'none';
+            return;
+        }
+
+        const id = ++requestId;
+        try {
+            const response = await fetch('/upload/watermark-preview', { method: 'POST', body: formData });
+            if (!response.ok) {
+                throw new Error((await response.json()).error);
+            }
+            const blob = await response.blob();
+            // A newer preview was requested meanwhile
+            if (id !== requestId) return;
+            if (previewUrl) URL.revokeObjectURL(previewUrl);
+            previewUrl = URL.createObjectURL(blob);
+            preview.src = previewUrl;
+            preview.style.display = '';
+            field('wmPreviewError').textContent = '';
+        } catch (err) {
+            field('wmPreviewError').textContent = 'Preview failed: ' + err.message;
+        }
+    }
+
+    // Re-render the preview once the settings stop changing
+    function refresh() {
+        updateFields();
+        clearTimeout(timer);
+        timer = setTimeout(renderPreview, PREVIEW_DELAY_MS);
+    }
+
+    // Downscale a local file for previews, so it isn't uploaded in full on
+    // every change
+    async function downscale(file) {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, PREVIEW_WIDTH / bitmap.width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+    }
+
+    // Upload a signature PNG, asking before replacing one of the same name
+    async function uploadImage(file, replace = false) {
+        const formData = new FormData();
+        formData.append('image', file);
+        if (replace) {
+            formData.append('replace', 'true');
+        }
+        const response = await fetch('/upload/watermarks', { method: 'POST', body: formData });
+        const data = await response.json();
+        if (data.exists && !replace) {
+            if (confirm(`${data.error}. Replace it? Albums that use it will get the new image.`)) {
+                return uploadImage(file, true);
+            }
+            return;
+        }
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        const select = field('wmImage');
+        select.innerHTML = '';
+        data.images.forEach((name) => {
+            select.appendChild(new Option(name, name, false, name === data.name));
+        });
+        refresh();
+    }
+
+    // Set up the form
+    // `source(formData)` adds the image to preview to the request (an `image`
+    // file, or an album's `slug` and `index`) and returns false if there is
+    // none yet.
+    function init(source) {
+        getSource = source;
+        ['wmEnabled', 'wmType', 'wmText', 'wmImage', 'wmPosition', 'wmOpacity', 'wmScale', 'wmOriginal'].forEach((id) => {
+            field(id).addEventListener('input', refresh);
+        });
+        field('wmImageUploadBtn').addEventListener('click', () => field('wmImageUpload').click());
+        field('wmImageUpload').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                await uploadImage(file);
+            } catch (err) {
+                field('wmPreviewError').textContent = 'Upload failed: ' + err.message;
+            }
+        });
+        refresh();
+    }
+
+    return {
+        init,
+        read,
+        refresh,
+        downscale
+    };
+})();
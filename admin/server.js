@@ -1,40 +1,117 @@
 const express = require('express');
+const session = require('express-session');
 const multer = require('multer');
-const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
-const B2 = require('backblaze-b2');
-const slugify = require('slugify');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const sharp = require('sharp');
+const { ROOT_DIR, STATE_DIR, loadConfig } = require('./lib/config');
+const { createStorage } = require('./lib/storage');
+const { createJobQueue } = require('./lib/jobs');
+const { runTransaction } = require('./lib/transaction');
+const auth = require('./lib/auth');
+const { parseFrontMatter, updateFrontMatter } = require('./lib/frontmatter');
+const { createSlug, isPostDate, getPostFileName, generateNewPostMarkdown } = require('./lib/posts');
+const { getPublishState, createAlbumIndex } = require('./lib/albums');
+const { getProcessingSettings, getProcessingOverrides } = require('./lib/metadata');
+const { getImageKeys, getOwnKey, createImageProcessor } = require('./lib/images');
+const { getWatermarkSettings, createWatermarker } = require('./lib/watermark');
+const { reconcile, deleteObjects, repairImages, formatBytes } = require('./lib/reconcile');
+const { transferImages, remapCovers, getCoverFrontMatter } = require('./lib/transfer');
+const { getPermalink, createRedirects } = require('./lib/redirects');
+const { createHistory } = require('./lib/history');
+const { createPublisher } = require('./lib/publish');
+const { suggestAlbumDetails } = require('./lib/captures');
+const { createAlbumArchive, openAlbumArchive } = require('./lib/archive');
+const { HttpError, createApiRouter, handleApiError } = require('./lib/api');
 
 const app = express();
-const PORT = 3001;
 
 // Paths
-const ROOT_DIR = path.join(__dirname, '..');
 const POSTS_DIR = path.join(ROOT_DIR, '_posts');
 const DATA_DIR = path.join(ROOT_DIR, '_data', 'virtual-photography');
-const B2_CONFIG_PATH = path.join(ROOT_DIR, '.b2-config.json');
 const ALBUM_ORDER_PATH = path.join(DATA_DIR, '_album-order.json');
+const REDIRECTS_DIR = path.join(ROOT_DIR, 'pages', 'redirects');
+const JOBS_DIR = path.join(STATE_DIR, '.jobs');
+const WATERMARKS_DIR = path.join(STATE_DIR, 'watermarks');
+const HISTORY_DIR = path.join(STATE_DIR, '.history');
+const ARCHIVES_DIR = path.join(STATE_DIR, '.archives');
 
-// Load B2 config
-let b2Config;
+// Load config
+let config;
 try {
-    b2Config = JSON.parse(fs.readFileSync(B2_CONFIG_PATH, 'utf8'));
+    config = loadConfig();
 } catch (err) {
-    console.error('Error loading .b2-config.json:', err.message);
-    console.error('Make sure .b2-config.json exists in the root directory');
+    console.error(err.message);
     process.exit(1);
 }
 
-// Initialize B2
-const b2 = new B2({
-    applicationKeyId: b2Config.application_key_id,
-    applicationKey: b2Config.application_key
+const PORT = config.port || 3001;
+const BIND_ADDRESS = config.bind_address || '127.0.0.1';
+const authConfig = config.auth || {};
+
+// Without a password the admin is only allowed on the loopback interface
+if (!authConfig.password_hash) {
+    if (!['127.0.0.1', '::1', 'localhost'].includes(BIND_ADDRESS)) {
+        console.error(`Refusing to listen on ${BIND_ADDRESS} without a password.`);
+        console.error('Add auth.password_hash to .admin-config.json (see `node cli.js hash-password`).');
+        process.exit(1);
+    }
+    console.warn('No auth.password_hash configured, admin login is disabled');
+}
+
+// Initialize storage
+const storage = createStorage(config.storage, { port: PORT });
+
+// Watermark overlays, with signature PNGs kept in admin/watermarks
+const watermarker = createWatermarker({ dir: WATERMARKS_DIR });
+
+// Watermark previews are rendered at this width
+const WATERMARK_PREVIEW_WIDTH = 1280;
+
+// Image upload pipeline
+const imageProcessor = createImageProcessor({
+    storage,
+    derivatives: config.derivatives,
+    watermarker,
+    uploadConcurrency: config.upload_concurrency || 4
+});
+
+// Image processing defaults; albums store only their overrides
+const processingDefaults = getProcessingSettings(config.processing);
+
+// Album index, kept in sync with hand edits and git pulls
+const albumIndex = createAlbumIndex({ postsDir: POSTS_DIR, dataDir: DATA_DIR, orderPath: ALBUM_ORDER_PATH });
+albumIndex.watch();
+
+// Redirect stubs left at renamed albums' old permalinks
+const redirects = createRedirects({ dir: REDIRECTS_DIR });
+
+// Revision history of every change made through the admin
+// Config: history.limit (revisions kept) and history.delete_delay_minutes
+// (how long deleted images stay in storage so the deletion can be undone).
+const historyConfig = config.history || {};
+const history = createHistory({
+    dir: HISTORY_DIR,
+    rootDir: ROOT_DIR,
+    storage,
+    limit: historyConfig.limit,
+    deleteDelayMinutes: historyConfig.delete_delay_minutes,
+    getKeysInUse: () => new Set(getAlbums().flatMap(album => album.images.flatMap(image => getImageKeys(image, album.slug)))),
+    getBusySlugs: () => getBusySlugs()
 });
 
-let b2AuthData = null;
-let b2BucketId = null;
-let b2AuthExpiry = 0;
+// Publishing pending changes with git
+const publishConfig = config.publish || {};
+const publisher = createPublisher({
+    rootDir: ROOT_DIR,
+    history,
+    remote: publishConfig.remote,
+    branch: publishConfig.branch,
+    authorName: publishConfig.author_name,
+    authorEmail: publishConfig.author_email
+});
 
 // Middleware
 app.set('view engine', 'ejs');
@@ -42,11 +119,30 @@ app.set('views', path.join(__dirname, 'views'));
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+if (storage.mount) {
+    storage.mount(app);
+}
+app.use(session({
+    name: 'vp-admin.sid',
+    secret: authConfig.session_secret || crypto.randomBytes(32).toString('hex'),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: !!authConfig.secure_cookie,
+        maxAge: (authConfig.session_hours || 12) * 60 * 60 * 1000
+    }
+}));
+app.use((req, res, next) => {
+    res.locals.csrfToken = auth.getCsrfToken(req);
+    res.locals.authEnabled = !!authConfig.password_hash;
+    next();
+});
 
 // Multer config for file uploads
-const storage = multer.memoryStorage();
 const upload = multer({ 
-    storage: storage,
+    storage: multer.memoryStorage(),
     limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
     fileFilter: (req, file, cb) => {
         const allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
@@ -58,617 +154,1266 @@ const upload = multer({
     }
 });
 
-// Helper: Authorize B2
-async function authorizeB2(forceRefresh = false) {
-    const now = Date.now();
-    // Reauthorize if no auth data, expired (23 hours), or forced
-    if (!b2AuthData || now > b2AuthExpiry || forceRefresh) {
-        console.log('Authorizing B2...');
-        b2AuthData = await b2.authorize();
-        b2AuthExpiry = now + (23 * 60 * 60 * 1000); // 23 hours
-        
-        // Get bucket ID - try from config first, then from API
-        if (b2Config.bucket_id) {
-            b2BucketId = b2Config.bucket_id;
-            console.log('B2 authorized. Using bucket ID from config:', b2BucketId);
-        } else {
+// Album archives hold every original of an album, so they go to disk and
+// stay there until their import job finishes
+const archiveUpload = multer({ dest: ARCHIVES_DIR });
+
+// Helper: Delete file from storage
+async function deleteFromStorage(fileName) {
+    return storage.delete(fileName);
+}
+
+// Helper: Summarize skipped duplicates for a job's result message
+function describeDuplicates(job) {
+    const count = job.images.filter(image => image.state === 'duplicate').length;
+    return count > 0 ? ` (${count} duplicate${count === 1 ? '' : 's'} skipped)` : '';
+}
+
+// Helper: Delete everything a cancelled upload job already uploaded
+async function deleteJobUploads(job) {
+    for (const image of job.images) {
+        if (!image.result) continue;
+        for (const key of getImageKeys(image.result, job.slug)) {
             try {
-                const buckets = await b2.listBuckets();
-                const bucket = buckets.data.buckets.find(b => b.bucketName === b2Config.bucket_name);
-                if (bucket) {
-                    b2BucketId = bucket.bucketId;
-                    console.log('B2 authorized. Bucket ID:', b2BucketId);
-                } else {
-                    throw new Error(`Bucket ${b2Config.bucket_name} not found`);
-                }
+                await deleteFromStorage(key);
             } catch (e) {
-                // If listBuckets fails, we need bucket_id in config
-                console.error('Cannot list buckets. Please add "bucket_id" to .b2-config.json');
-                throw new Error('bucket_id required in config when using limited app key');
+                console.error('Error deleting from storage:', e.message);
             }
         }
     }
-    return b2AuthData;
 }
 
-// Helper: Upload file to B2
-async function uploadToB2(fileName, fileBuffer, contentType) {
-    await authorizeB2();
-    const uploadUrl = await b2.getUploadUrl({ bucketId: b2BucketId });
-    
-    const response = await b2.uploadFile({
-        uploadUrl: uploadUrl.data.uploadUrl,
-        uploadAuthToken: uploadUrl.data.authorizationToken,
-        fileName: fileName,
-        data: fileBuffer,
-        contentType: contentType
-    });
-    
-    return response.data;
+// Helper: Run an album mutation and record it in the history
+// Storage deletions are left to the history, which delays them so the change
+// can be undone. Returns what runTransaction does plus the revision id.
+async function runMutation(label, fn) {
+    const outcome = await runTransaction(storage, fn, { deferDeletes: true });
+    return { ...outcome, revision: history.record(label, outcome) };
 }
 
-// Helper: Delete file from B2
-async function deleteFromB2(fileName) {
-    await authorizeB2();
-    
-    // First, get file versions
-    const files = await b2.listFileVersions({
-        bucketId: b2BucketId,
-        prefix: fileName,
-        maxFileCount: 1
-    });
-    
-    if (files.data.files.length > 0) {
-        const file = files.data.files[0];
-        await b2.deleteFileVersion({
-            fileId: file.fileId,
-            fileName: file.fileName
-        });
-        return true;
+// Helper: Read all albums
+function getAlbums() {
+    return albumIndex.list();
+}
+
+// Helper: Get single album
+function getAlbum(slug) {
+    return albumIndex.get(slug);
+}
+
+// Helper: Parse image processing settings sent by a form
+// Multipart forms send them as a JSON string. Returns the album's overrides,
+// or undefined if none were sent.
+function parseProcessingInput(value) {
+    if (value === undefined || value === '') return undefined;
+    const settings = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!settings || typeof settings !== 'object') {
+        throw new Error('Invalid processing settings');
     }
-    return false;
+    return getProcessingOverrides(settings, processingDefaults);
+}
+
+// Helper: Update the admin-managed keys in an existing post
+// Everything else in the file (hand-added keys, comments, the Markdown body)
+// is kept as it is.
+function updatePostMarkdown(content, data) {
+    return updateFrontMatter(content, {
+        date: data.date,
+        title: data.title || '',
+        description: data.description || 'Virtual Photography',
+        developer: data.developer || '',
+        tags: data.tags || [],
+        slug: data.slug,
+        'card-image': data.cardImage || 0,
+        'card-offset': data.cardOffset || 50,
+        'card-offset-x': data.cardOffsetX || 50,
+        'card-zoom': data.cardZoom || 100,
+        'banner-image': data.bannerImage || 0,
+        'banner-offset': data.bannerOffset || 50,
+        'banner-offset-x': data.bannerOffsetX || 50,
+        'banner-zoom': data.bannerZoom || 100,
+        published: data.published,
+        processing: data.processing
+    });
 }
 
-// Helper: Get CDN URL
-function getCdnUrl(filePath) {
-    if (b2Config.use_cdn && b2Config.cdn_domain) {
-        return `https://${b2Config.cdn_domain}/${filePath}`;
+// Album operations
+// Shared by the admin pages' form routes and the REST API. Invalid input
+// throws an HttpError with the status to respond with.
+
+// Helper: Refuse to change albums an upload job is working on
+function assertNotBusy(...slugs) {
+    const error = getBusyError(...slugs);
+    if (error) {
+        throw new HttpError(409, error);
     }
-    return `https://f003.backblazeb2.com/file/${b2Config.bucket_name}/${filePath}`;
 }
 
-// Helper: Read all albums
-function getAlbums() {
-    const albums = [];
+// Create an album and queue a job processing its images
+// `input` holds the album details: title, developer, description, date,
+// processing and draft. Returns the job.
+function createAlbum(input, files) {
+    const { title, developer, description, date } = input;
+    const draft = input.draft === true || input.draft === 'true';
+    if (typeof title !== 'string' || !title.trim()) {
+        throw new HttpError(400, 'Title is required');
+    }
+    if (date && !isPostDate(date)) {
+        throw new HttpError(400, 'Date must be YYYY-MM-DD');
+    }
+    let processing;
+    try {
+        processing = parseProcessingInput(input.processing);
+    } catch (e) {
+        throw new HttpError(400, 'Invalid processing settings');
+    }
+    const slug = createSlug(title);
+    if (!slug) {
+        throw new HttpError(400, 'Title must contain letters or numbers');
+    }
     
-    // Read all JSON files in data directory
-    const jsonFiles = fs.readdirSync(DATA_DIR).filter(f => f.endsWith('.json') && !f.startsWith('_'));
+    // Check if album already exists
+    const jsonPath = path.join(DATA_DIR, `${slug}.json`);
+    if (fs.existsSync(jsonPath) || jobs.hasActiveJob(slug)) {
+        throw new HttpError(409, 'Album with this name already exists');
+    }
     
-    for (const jsonFile of jsonFiles) {
-        const slug = jsonFile.replace('.json', '');
-        const jsonPath = path.join(DATA_DIR, jsonFile);
-        
-        // Find corresponding post file
-        const postFiles = fs.readdirSync(POSTS_DIR).filter(f => f.endsWith(`${slug}.md`));
-        
-        if (postFiles.length > 0) {
-            const postPath = path.join(POSTS_DIR, postFiles[0]);
-            const postContent = fs.readFileSync(postPath, 'utf8');
-            
-            // Parse front matter
-            const frontMatterMatch = postContent.match(/^---\r?\n([\s\S]*?)\r?\n---/);
-            if (frontMatterMatch) {
-                const frontMatter = {};
-                frontMatterMatch[1].split(/\r?\n/).forEach(line => {
-                    const match = line.match(/^([\w-]*?):\s*(.*)$/);
-                    if (match) {
-                        let value = match[2].trim();
-                        // Remove quotes if present
-                        if ((value.startsWith('"') && value.endsWith('"')) || 
-                            (value.startsWith("'") && value.endsWith("'"))) {
-                            value = value.slice(1, -1);
-                        }
-                        // Parse arrays
-                        if (value.startsWith('[') && value.endsWith(']')) {
-                            value = value.slice(1, -1).split(',').map(v => v.trim());
-                        }
-                        frontMatter[match[1]] = value;
-                    }
-                });
-                
-                // Read images
-                let images = [];
-                try {
-                    const rawImages = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
-                    // Normalize image data to handle both old and new formats
-                    images = rawImages.map(img => ({
-                        url: img.url || img['imageFull-link'] || '',
-                        thumb: img.thumb || img['thumbnail-link'] || '',
-                        aspectRatio: parseFloat(img.aspectRatio || img['aspect-ratio'] || 1.5),
-                        width: img.width || 0,
-                        height: img.height || 0
-                    }));
-                } catch (e) {
-                    console.error(`Error reading ${jsonFile}:`, e.message);
-                }
-                
-                // Parse tags
-                let tags = [];
-                if (frontMatter.tags) {
-                    if (Array.isArray(frontMatter.tags)) {
-                        tags = frontMatter.tags;
-                    } else if (typeof frontMatter.tags === 'string') {
-                        tags = frontMatter.tags.split(',').map(t => t.trim());
-                    }
-                }
-                
-                albums.push({
-                    slug: slug,
-                    title: frontMatter.title || slug,
-                    description: frontMatter.description || 'Virtual Photography',
-                    developer: frontMatter.developer || '',
-                    date: frontMatter.date || '',
-                    tags: tags,
-                    cardImage: parseInt(frontMatter['card-image']) || 0,
-                    cardOffset: parseInt(frontMatter['card-offset']) || 50,
-                    cardOffsetX: parseInt(frontMatter['card-offset-x']) || 50,
-                    cardZoom: parseInt(frontMatter['card-zoom']) || 100,
-                    bannerImage: parseInt(frontMatter['banner-image']) || 0,
-                    bannerOffset: parseInt(frontMatter['banner-offset']) || 50,
-                    bannerOffsetX: parseInt(frontMatter['banner-offset-x']) || 50,
-                    bannerZoom: parseInt(frontMatter['banner-zoom']) || 100,
-                    images: images,
-                    imageCount: images.length,
-                    postFile: postFiles[0],
-                    jsonFile: jsonFile
-                });
-            }
+    return jobs.create('create-album', slug, { title, developer, description, date, processing, draft }, files || []);
+}
+
+// Update an album's details
+// Only the keys present in `input` change. Returns the history revision.
+async function updateAlbum(album, input) {
+    const { title, description, developer, date, tags, cardImage, cardOffset, cardOffsetX, cardZoom, bannerImage, bannerOffset, bannerOffsetX, bannerZoom } = input;
+    if (date && !isPostDate(date)) {
+        throw new HttpError(400, 'Date must be YYYY-MM-DD');
+    }
+    
+    // Parse tags if provided as string
+    let parsedTags = album.tags;
+    if (tags !== undefined) {
+        if (typeof tags === 'string') {
+            parsedTags = tags.split(',').map(t => t.trim()).filter(t => t);
+        } else if (Array.isArray(tags)) {
+            parsedTags = tags;
         }
     }
     
-    // Sort by custom order if available, otherwise by date
-    const order = getAlbumOrder();
-    if (order.length > 0) {
-        albums.sort((a, b) => {
-            const aIndex = order.indexOf(a.slug);
-            const bIndex = order.indexOf(b.slug);
-            // If both are in order array, sort by order
-            if (aIndex >= 0 && bIndex >= 0) return aIndex - bIndex;
-            // If only one is in order array, put it first
-            if (aIndex >= 0) return -1;
-            if (bIndex >= 0) return 1;
-            // Otherwise sort by date descending
-            return new Date(b.date) - new Date(a.date);
-        });
-    } else {
-        // Default: sort by date descending
-        albums.sort((a, b) => new Date(b.date) - new Date(a.date));
+    // Image processing overrides; an album back on the defaults loses the key
+    let processing;
+    try {
+        processing = parseProcessingInput(input.processing);
+    } catch (e) {
+        throw new HttpError(400, 'Invalid processing settings');
+    }
+    if (processing && Object.keys(processing).length === 0) {
+        processing = Object.keys(album.processing).length > 0 ? null : undefined;
     }
     
-    return albums;
+    // Drafts are marked `published: false`; publishing removes the key
+    let published;
+    if (input.published !== undefined) {
+        published = input.published === true || input.published === 'true' ? null : false;
+    }
+    
+    // Determine the new date
+    const newDate = date || album.date;
+    const oldPostPath = path.join(POSTS_DIR, album.postFile);
+    let newPostPath = oldPostPath;
+    
+    // If date changed, the post file is renamed
+    if (date && date !== album.date) {
+        newPostPath = path.join(POSTS_DIR, `${date}-${album.slug}.md`);
+    }
+    
+    // Update the managed keys, keeping the rest of the post
+    const postContent = updatePostMarkdown(fs.readFileSync(oldPostPath, 'utf8'), {
+        title: title || album.title,
+        description: description !== undefined ? description : album.description,
+        developer: developer !== undefined ? developer : album.developer,
+        date: newDate,
+        tags: parsedTags,
+        slug: album.slug,
+        cardImage: cardImage !== undefined ? parseInt(cardImage) : album.cardImage,
+        cardOffset: cardOffset !== undefined ? parseInt(cardOffset) : album.cardOffset,
+        cardOffsetX: cardOffsetX !== undefined ? parseInt(cardOffsetX) : album.cardOffsetX,
+        cardZoom: cardZoom !== undefined ? parseInt(cardZoom) : album.cardZoom,
+        bannerImage: bannerImage !== undefined ? parseInt(bannerImage) : album.bannerImage,
+        bannerOffset: bannerOffset !== undefined ? parseInt(bannerOffset) : album.bannerOffset,
+        bannerOffsetX: bannerOffsetX !== undefined ? parseInt(bannerOffsetX) : album.bannerOffsetX,
+        bannerZoom: bannerZoom !== undefined ? parseInt(bannerZoom) : album.bannerZoom,
+        published,
+        processing
+    });
+    
+    // Write the new post before removing the old one, so a failure
+    // restores the original file instead of losing the post
+    const { revision } = await runMutation(`Update "${album.title}"`, tx => {
+        tx.writeFile(newPostPath, postContent);
+        if (newPostPath !== oldPostPath) {
+            tx.removeFile(oldPostPath);
+        }
+    });
+    albumIndex.refresh(album.slug);
+    return revision;
 }
 
-// Helper: Get single album
-function getAlbum(slug) {
-    const albums = getAlbums();
-    return albums.find(a => a.slug === slug);
+// Queue a job adding images to an album
+// Returns the job.
+function addImages(album, files) {
+    assertNotBusy(album.slug);
+    return jobs.create('add-images', album.slug, {}, files || []);
 }
 
-// Helper: Create slug
-function createSlug(name) {
-    return slugify(name, {
-        lower: true,
-        strict: true,
-        remove: /[*+~.()'"!:@]/g
+// Delete images from an album
+// The JSON and post are written first; the files are deleted from storage
+// once nothing references them. Returns { failedDeletes, revision }.
+async function deleteImages(album, indexes) {
+    assertNotBusy(album.slug);
+    const removed = [...new Set(indexes)];
+    if (removed.length === 0 || removed.some(index => !Number.isInteger(index) || index < 0 || index >= album.images.length)) {
+        throw new HttpError(400, 'Invalid image index');
+    }
+    
+    const label = removed.length === 1
+        ? `Delete image #${removed[0]} from "${album.title}"`
+        : `Delete ${removed.length} images from "${album.title}"`;
+    const { failedDeletes, revision } = await runMutation(label, tx => {
+        stageImageRemoval(tx, album, removed);
+        removed.flatMap(index => getImageKeys(album.images[index], album.slug)).forEach(key => tx.deleteObject(key));
     });
+    albumIndex.refresh(album.slug);
+    return { failedDeletes, revision };
 }
 
-// Helper: Generate post markdown
-function generatePostMarkdown(data) {
-    const date = data.date || new Date().toISOString().split('T')[0];
-    const tagsArray = data.tags || [];
-    const tagsLine = tagsArray.length > 0 ? `tags: [${tagsArray.join(', ')}]` : 'tags: []';
-    
-    // Escape YAML special characters by quoting strings
-    const title = data.title ? `"${data.title.replace(/"/g, '\\"')}"` : '""';
-    const description = data.description ? `"${data.description.replace(/"/g, '\\"')}"` : '"Virtual Photography"';
-    const developer = data.developer ? `"${data.developer.replace(/"/g, '\\"')}"` : '""';
-    
-    return `---
-layout: post
-date: ${date}
-title: ${title}
-description: ${description}
-developer: ${developer}
-categories: [virtual-photography]
-${tagsLine}
-slug: ${data.slug}
-card-image: ${data.cardImage || 0}
-card-offset: ${data.cardOffset || 50}
-card-offset-x: ${data.cardOffsetX || 50}
-card-zoom: ${data.cardZoom || 100}
-banner-image: ${data.bannerImage || 0}
-banner-offset: ${data.bannerOffset || 50}
-banner-offset-x: ${data.bannerOffsetX || 50}
-banner-zoom: ${data.bannerZoom || 100}
----`;
+// Delete an album
+// Local files go first; images are removed from storage only after the
+// album is gone. Returns { failedDeletes, revision }.
+async function deleteAlbum(album) {
+    assertNotBusy(album.slug);
+    const { failedDeletes, revision } = await runMutation(`Delete album "${album.title}"`, tx => {
+        tx.removeFile(path.join(POSTS_DIR, album.postFile));
+        tx.removeFile(path.join(DATA_DIR, album.jsonFile));
+        album.images.flatMap(image => getImageKeys(image, album.slug)).forEach(key => tx.deleteObject(key));
+    });
+    albumIndex.refresh(album.slug);
+    return { failedDeletes, revision };
 }
 
+// Upload job queue
+const jobs = createJobQueue({
+    dir: JOBS_DIR,
+    runners: {
+        'create-album': { run: runCreateAlbumJob, cancel: deleteJobUploads },
+        'add-images': { run: runAddImagesJob, cancel: deleteJobUploads },
+        'regenerate': { run: runRegenerateJob, cancel: deleteRegeneratedUploads },
+        'import-album': { run: runImportAlbumJob, cancel: deleteImportUploads }
+    }
+});
+
+// Deferred storage deletions check the albums and jobs, so they start once
+// the job queue is set up
+history.start();
+
 // Routes
 
+// Login page
+const loginLimiter = auth.createLoginLimiter();
+const totpVerifier = authConfig.totp_secret ? auth.createTotpVerifier(authConfig.totp_secret) : null;
+
+app.get('/login', (req, res) => {
+    if (!authConfig.password_hash || req.session.authenticated) {
+        return res.redirect('/upload');
+    }
+    res.render('login', { error: null, next: req.query.next || '/upload', totp: !!authConfig.totp_secret });
+});
+
+// Log in
+app.post('/login', auth.csrfProtection, (req, res) => {
+    const { password, code } = req.body;
+    const next = typeof req.body.next === 'string' && req.body.next.startsWith('/') && !req.body.next.startsWith('//')
+        ? req.body.next
+        : '/upload';
+    const renderError = (status, error) => {
+        res.status(status).render('login', { error, next, totp: !!authConfig.totp_secret });
+    };
+    
+    if (!authConfig.password_hash) {
+        return res.redirect('/upload');
+    }
+    if (loginLimiter.isLocked(req.ip)) {
+        return renderError(429, 'Too many failed attempts. Try again later.');
+    }
+    
+    // The code is only checked (and used up) once the password is right
+    const passwordOk = auth.verifyPassword(password || '', authConfig.password_hash);
+    const codeOk = passwordOk && (!totpVerifier || totpVerifier.verify(code));
+    if (!passwordOk || !codeOk) {
+        loginLimiter.recordFailure(req.ip);
+        return renderError(401, 'Invalid password or code');
+    }
+    
+    loginLimiter.reset(req.ip);
+    // Start a fresh session so a pre-login session ID can't be reused
+    req.session.regenerate(err => {
+        if (err) {
+            console.error('Error creating session:', err);
+            return renderError(500, 'Could not create session');
+        }
+        req.session.authenticated = true;
+        res.redirect(next);
+    });
+});
+
+// Log out
+app.post('/logout', auth.csrfProtection, (req, res) => {
+    req.session.destroy(() => {
+        res.clearCookie('vp-admin.sid');
+        res.redirect(authConfig.password_hash ? '/login' : '/upload');
+    });
+});
+
+// REST API
+// Mounted before the page authentication: it checks API tokens or the
+// session itself and answers errors in its own format.
+app.use('/api/v1', createApiRouter({
+    operations: {
+        getAlbums,
+        getAlbum,
+        getAlbumOrder,
+        saveAlbumOrder,
+        getJob: id => jobs.get(id),
+        createAlbum,
+        updateAlbum,
+        deleteAlbum,
+        addImages,
+        deleteImages
+    },
+    upload,
+    tokenHashes: authConfig.api_tokens,
+    requireSession: !!authConfig.password_hash
+}), handleApiError);
+
+// Everything below requires a session (when a password is configured) and a
+// CSRF token on mutating requests
+if (authConfig.password_hash) {
+    app.use(auth.requireAuth);
+}
+app.use(auth.csrfProtection);
+
 // Dashboard
 app.get('/', (req, res) => {
     res.redirect('/upload');
 });
 
 app.get('/upload', (req, res) => {
-    const albums = getAlbums();
+    const albums = getAlbums().map(album => ({ ...album, publishState: getPublishState(album) }));
     res.render('index', { albums });
 });
 
 // Create album page
 app.get('/upload/new', (req, res) => {
-    res.render('new-album');
+    res.render('new-album', { processing: processingDefaults, watermarkImages: watermarker.list() });
 });
 
-// Create album
-app.post('/upload/create', upload.array('images', 100), async (req, res) => {
+// Suggest album details from the selected files' names
+// Capture tools name files after the game and capture time; returns the
+// suggested title, developer, date and image order.
+app.post('/upload/suggest-details', (req, res) => {
     try {
-        const { title, developer, description, date } = req.body;
-        const slug = createSlug(title);
-        const actualDate = date || new Date().toISOString().split('T')[0];
-        
-        // Check if album already exists
-        const jsonPath = path.join(DATA_DIR, `${slug}.json`);
-        if (fs.existsSync(jsonPath)) {
-            return res.status(400).json({ error: 'Album with this name already exists' });
-        }
-        
-        // Process and upload images
-        const images = [];
-        const files = req.files || [];
-        
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            const imgNum = String(i).padStart(3, '0');
-            
-            // Get image dimensions
-            const metadata = await sharp(file.buffer).metadata();
-            const aspectRatio = Math.round((metadata.width / metadata.height) * 10000) / 10000;
-            
-            // Upload original
-            const originalFileName = `${slug}/img${imgNum}.jpg`;
-            let originalBuffer = file.buffer;
-            
-            // Convert to JPEG if not already
-            if (file.mimetype !== 'image/jpeg') {
-                originalBuffer = await sharp(file.buffer)
-                    .jpeg({ quality: 95 })
-                    .toBuffer();
-            }
-            
-            await uploadToB2(originalFileName, originalBuffer, 'image/jpeg');
-            
-            // Generate and upload thumbnail
-            const thumbBuffer = await sharp(file.buffer)
-                .resize(600, null, { withoutEnlargement: true })
-                .webp({ quality: 85 })
-                .toBuffer();
-            
-            const thumbFileName = `${slug}/thumb/img${imgNum}.webp`;
-            await uploadToB2(thumbFileName, thumbBuffer, 'image/webp');
-            
-            images.push({
-                url: getCdnUrl(originalFileName),
-                thumb: getCdnUrl(thumbFileName),
-                aspectRatio: aspectRatio,
-                width: metadata.width,
-                height: metadata.height
-            });
+        const names = req.body.names;
+        if (!Array.isArray(names) || !names.every(name => typeof name === 'string')) {
+            return res.status(400).json({ error: 'names must be a list of file names' });
         }
         
-        // Create JSON file
-        fs.writeFileSync(jsonPath, JSON.stringify(images, null, 2));
+        res.json({ success: true, ...suggestAlbumDetails(names, getAlbums()) });
         
-        // Create post file
-        const postFileName = `${actualDate}-${slug}.md`;
-        const postPath = path.join(POSTS_DIR, postFileName);
-        const postContent = generatePostMarkdown({
-            title,
-            developer,
-            description,
-            date: actualDate,
-            slug,
-            cardImage: 0,
-            cardOffset: 50,
-            cardOffsetX: 50,
-            cardZoom: 100,
-            bannerImage: 0,
-            bannerOffset: 50,
-            bannerOffsetX: 50,
-            bannerZoom: 100
-        });
-        fs.writeFileSync(postPath, postContent);
+    } catch (err) {
+        console.error('Error suggesting album details:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Create album
+// Images are processed by a background job; progress is streamed from
+// /upload/jobs/:id/events.
+app.post('/upload/create', upload.array('images', 100), (req, res) => {
+    try {
+        const job = createAlbum(req.body, req.files);
         
         res.json({ 
             success: true, 
-            slug,
-            message: `Album "${title}" created with ${images.length} images`
+            slug: job.slug,
+            jobId: job.id,
+            message: `Creating album "${req.body.title}" with ${job.total} images`
         });
         
     } catch (err) {
-        console.error('Error creating album:', err);
-        res.status(500).json({ error: err.message });
+        if (!err.status) console.error('Error creating album:', err);
+        // A taken name is a 409 for API clients; this route answers 400 for
+        // it, as it always has
+        res.status(err.status === 409 ? 400 : err.status || 500).json({ error: err.message });
     }
 });
 
+// Job runner: create album
+async function runCreateAlbumJob(job, context) {
+    const { title, developer, description, date, processing, draft } = job.params;
+    const slug = job.slug;
+    const actualDate = date || new Date().toISOString().split('T')[0];
+    
+    const images = await imageProcessor.processJobImages(job, context, [], getProcessingSettings(processingDefaults, processing));
+    
+    const postContent = generateNewPostMarkdown({
+        title,
+        developer,
+        description,
+        date: actualDate,
+        slug,
+        cardImage: 0,
+        cardOffset: 50,
+        cardOffsetX: 50,
+        cardZoom: 100,
+        bannerImage: 0,
+        bannerOffset: 50,
+        bannerOffsetX: 50,
+        bannerZoom: 100,
+        published: draft ? false : undefined,
+        processing
+    });
+    
+    // Uploaded images stay owned by the job (cancelling it deletes them), so
+    // the transaction only covers the local files
+    await runMutation(`Create album "${title}"`, tx => {
+        tx.writeFile(path.join(DATA_DIR, `${slug}.json`), JSON.stringify(images, null, 2));
+        tx.writeFile(path.join(POSTS_DIR, `${actualDate}-${slug}.md`), postContent);
+        redirects.stageRelease(tx, slug);
+    });
+    albumIndex.refresh(slug);
+    
+    return `Album "${title}" created with ${images.length} images${describeDuplicates(job)}`;
+}
+
+// Helper: Rebuild the derivatives of every image in a regenerate job
+// Each image is rebuilt from its stored original with the current derivative
+// and processing settings; images already done (before the job was
+// interrupted) are skipped. The album JSON is only updated at the end, and
+// the old derivatives are deleted with the usual undo delay.
+async function runRegenerateJob(job, context) {
+    let album = getAlbum(job.slug);
+    if (!album) {
+        throw new Error('Album not found');
+    }
+    const processing = getProcessingSettings(processingDefaults, album.processing);
+    const tag = job.id.slice(0, 8);
+    
+    for (let i = 0; i < job.images.length; i++) {
+        const item = job.images[i];
+        if (item.state === 'done') continue;
+        context.checkCancelled();
+        
+        try {
+            const image = album.images.find(entry => entry.url === item.source);
+            if (!image) {
+                throw new Error('Image was removed from the album');
+            }
+            const entry = await imageProcessor.regenerateImage(album.slug, image, processing, tag, state => {
+                context.setImageState(i, state);
+            });
+            context.setImageState(i, 'done', { result: entry });
+        } catch (err) {
+            console.error(`Error regenerating ${item.name}:`, err.message);
+            context.setImageState(i, 'failed', { error: err.message });
+        }
+    }
+    
+    const done = job.images.filter(item => item.state === 'done');
+    const failed = job.images.length - done.length;
+    if (done.length === 0 && failed > 0) {
+        throw new Error('None of the images could be regenerated');
+    }
+    
+    // Re-read the album in case it was edited while the job ran; only the
+    // derivative fields are replaced, so text and order edits are kept
+    album = getAlbum(job.slug);
+    if (!album) {
+        throw new Error('Album was deleted while its images were being regenerated');
+    }
+    const results = new Map(done.map(item => [item.source, item.result]));
+    const staleKeys = [];
+    const images = album.images.map(image => {
+        const result = results.get(image.url);
+        if (!result) return image;
+        const updated = {
+            ...image,
+            thumb: result.thumb,
+            placeholder: result.placeholder,
+            color: result.color,
+            aspectRatio: result.aspectRatio,
+            width: result.width,
+            height: result.height,
+            sizes: result.sizes
+        };
+        const keep = new Set(getImageKeys(updated, album.slug));
+        staleKeys.push(...getImageKeys(image, album.slug).filter(key => !keep.has(key)));
+        return updated;
+    });
+    
+    await runMutation(`Regenerate ${done.length} images of "${album.title}"`, tx => {
+        tx.writeFile(path.join(DATA_DIR, album.jsonFile), JSON.stringify(images, null, 2));
+        staleKeys.forEach(key => tx.deleteObject(key));
+    });
+    albumIndex.refresh(album.slug);
+    
+    return `Regenerated ${done.length} images` + (failed ? `, ${failed} failed` : '');
+}
+
+// Helper: Delete the derivatives a cancelled regenerate job already uploaded
+// The originals they were made from stay, as does anything the album uses.
+async function deleteRegeneratedUploads(job) {
+    const album = getAlbum(job.slug);
+    const used = new Set(album ? album.images.flatMap(image => getImageKeys(image, job.slug)) : []);
+    for (const item of job.images) {
+        if (!item.result) continue;
+        for (const key of getImageKeys(item.result, job.slug)) {
+            if (used.has(key)) continue;
+            try {
+                await deleteFromStorage(key);
+            } catch (e) {
+                console.error('Error deleting from storage:', e.message);
+            }
+        }
+    }
+}
+
+// Helper: Queue a regenerate job for an album's stored images
+// Returns null if the album has no images with an original in storage.
+function queueRegenerate(album) {
+    const items = album.images
+        .map((image, index) => ({ originalname: `#${index} ${path.posix.basename(image.url)}`, source: image.url }))
+        .filter(item => getOwnKey(storage, item.source, album.slug));
+    return items.length > 0 ? jobs.create('regenerate', album.slug, {}, items) : null;
+}
+
 // Edit album page
 app.get('/upload/edit/:slug', (req, res) => {
     const album = getAlbum(req.params.slug);
     if (!album) {
         return res.status(404).send('Album not found');
     }
-    res.render('edit-album', { album });
+    res.render('edit-album', {
+        album,
+        processing: getProcessingSettings(processingDefaults, album.processing),
+        watermarkImages: watermarker.list(),
+        otherAlbums: getAlbums().filter(other => other.slug !== album.slug)
+    });
+});
+
+// Preview an album
+// Renders the post's banner, card and Pig grid the way the site does, so
+// drafts and scheduled albums can be checked before they go live.
+app.get('/upload/preview/:slug', (req, res) => {
+    const album = getAlbum(req.params.slug);
+    if (!album) {
+        return res.status(404).send('Album not found');
+    }
+    res.render('preview', { album, publishState: getPublishState(album) });
+});
+
+// The site's Pig script, for the preview
+app.get('/upload/preview-assets/pig.js', (req, res) => {
+    res.sendFile(path.join(ROOT_DIR, 'js', 'pig.js'));
 });
 
 // Update album metadata
-app.post('/upload/update/:slug', (req, res) => {
+app.post('/upload/update/:slug', async (req, res) => {
     try {
         const album = getAlbum(req.params.slug);
         if (!album) {
             return res.status(404).json({ error: 'Album not found' });
         }
         
-        const { title, description, developer, date, tags, cardImage, cardOffset, cardOffsetX, cardZoom, bannerImage, bannerOffset, bannerOffsetX, bannerZoom } = req.body;
-        
-        // Parse tags if provided as string
-        let parsedTags = album.tags;
-        if (tags !== undefined) {
-            if (typeof tags === 'string') {
-                parsedTags = tags.split(',').map(t => t.trim()).filter(t => t);
-            } else if (Array.isArray(tags)) {
-                parsedTags = tags;
-            }
-        }
-        
-        // Determine the new date
-        const newDate = date || album.date;
-        const oldPostPath = path.join(POSTS_DIR, album.postFile);
-        let newPostPath = oldPostPath;
-        
-        // If date changed, rename the post file
-        if (date && date !== album.date) {
-            const newFileName = `${date}-${album.slug}.md`;
-            newPostPath = path.join(POSTS_DIR, newFileName);
-            
-            // Rename file if it exists
-            if (fs.existsSync(oldPostPath)) {
-                fs.renameSync(oldPostPath, newPostPath);
-            }
-        }
-        
-        // Generate new content
-        const postContent = generatePostMarkdown({
-            title: title || album.title,
-            description: description !== undefined ? description : album.description,
-            developer: developer !== undefined ? developer : album.developer,
-            date: newDate,
-            tags: parsedTags,
-            slug: album.slug,
-            cardImage: cardImage !== undefined ? parseInt(cardImage) : album.cardImage,
-            cardOffset: cardOffset !== undefined ? parseInt(cardOffset) : album.cardOffset,
-            cardOffsetX: cardOffsetX !== undefined ? parseInt(cardOffsetX) : album.cardOffsetX,
-            cardZoom: cardZoom !== undefined ? parseInt(cardZoom) : album.cardZoom,
-            bannerImage: bannerImage !== undefined ? parseInt(bannerImage) : album.bannerImage,
-            bannerOffset: bannerOffset !== undefined ? parseInt(bannerOffset) : album.bannerOffset,
-            bannerOffsetX: bannerOffsetX !== undefined ? parseInt(bannerOffsetX) : album.bannerOffsetX,
-            bannerZoom: bannerZoom !== undefined ? parseInt(bannerZoom) : album.bannerZoom
-        });
-        
-        fs.writeFileSync(newPostPath, postContent);
-        
-        res.json({ success: true, message: 'Album updated' });
+        const revision = await updateAlbum(album, req.body);
+        res.json({ success: true, message: 'Album updated', revision });
         
     } catch (err) {
-        console.error('Error updating album:', err);
-        res.status(500).json({ error: err.message });
+        if (!err.status) console.error('Error updating album:', err);
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
 // Add images to album
-app.post('/upload/add-images/:slug', upload.array('images', 100), async (req, res) => {
+app.post('/upload/add-images/:slug', upload.array('images', 100), (req, res) => {
     try {
         const album = getAlbum(req.params.slug);
         if (!album) {
             return res.status(404).json({ error: 'Album not found' });
         }
         
-        const jsonPath = path.join(DATA_DIR, album.jsonFile);
-        const images = [...album.images];
-        const files = req.files || [];
-        
-        // Find next image number
-        let nextNum = images.length;
-        
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            const imgNum = String(nextNum + i).padStart(3, '0');
-            
-            // Get image dimensions
-            const metadata = await sharp(file.buffer).metadata();
-            const aspectRatio = Math.round((metadata.width / metadata.height) * 10000) / 10000;
-            
-            // Upload original
-            const originalFileName = `${album.slug}/img${imgNum}.jpg`;
-            let originalBuffer = file.buffer;
-            
-            if (file.mimetype !== 'image/jpeg') {
-                originalBuffer = await sharp(file.buffer)
-                    .jpeg({ quality: 95 })
-                    .toBuffer();
-            }
-            
-            await uploadToB2(originalFileName, originalBuffer, 'image/jpeg');
-            
-            // Generate and upload thumbnail
-            const thumbBuffer = await sharp(file.buffer)
-                .resize(600, null, { withoutEnlargement: true })
-                .webp({ quality: 85 })
-                .toBuffer();
-            
-            const thumbFileName = `${album.slug}/thumb/img${imgNum}.webp`;
-            await uploadToB2(thumbFileName, thumbBuffer, 'image/webp');
-            
-            images.push({
-                url: getCdnUrl(originalFileName),
-                thumb: getCdnUrl(thumbFileName),
-                aspectRatio: aspectRatio,
-                width: metadata.width,
-                height: metadata.height
-            });
-        }
-        
-        // Update JSON file
-        fs.writeFileSync(jsonPath, JSON.stringify(images, null, 2));
+        const job = addImages(album, req.files);
         
         res.json({ 
             success: true, 
-            message: `Added ${files.length} images`,
-            totalImages: images.length
+            jobId: job.id,
+            message: `Adding ${job.total} images`
         });
         
     } catch (err) {
-        console.error('Error adding images:', err);
-        res.status(500).json({ error: err.message });
+        if (!err.status) console.error('Error adding images:', err);
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-// Delete image from album
-app.post('/upload/delete-image/:slug/:index', async (req, res) => {
+// Rebuild an album's derivatives from its stored originals
+app.post('/upload/regenerate/:slug', (req, res) => {
     try {
         const album = getAlbum(req.params.slug);
         if (!album) {
             return res.status(404).json({ error: 'Album not found' });
         }
-        
-        const index = parseInt(req.params.index);
-        if (index < 0 || index >= album.images.length) {
-            return res.status(400).json({ error: 'Invalid image index' });
+        if (jobs.hasActiveJob(album.slug)) {
+            return res.status(409).json({ error: getBusyError(album.slug) });
         }
         
-        const image = album.images[index];
-        
-        // Extract file paths from URLs
-        const urlPath = new URL(image.url).pathname;
-        const thumbPath = new URL(image.thumb).pathname;
-        
-        // Remove leading slash and bucket name if present
-        const originalFile = urlPath.split('/').slice(-2).join('/');
-        const thumbFile = thumbPath.split('/').slice(-3).join('/');
-        
-        // Delete from B2
-        try {
-            await deleteFromB2(originalFile);
-            await deleteFromB2(thumbFile);
-        } catch (e) {
-            console.error('Error deleting from B2:', e.message);
+        const job = queueRegenerate(album);
+        if (!job) {
+            return res.status(400).json({ error: 'None of the images have an original in storage' });
         }
         
-        // Update JSON
-        const images = album.images.filter((_, i) => i !== index);
-        const jsonPath = path.join(DATA_DIR, album.jsonFile);
-        fs.writeFileSync(jsonPath, JSON.stringify(images, null, 2));
-        
-        res.json({ success: true, message: 'Image deleted' });
+        res.json({
+            success: true,
+            jobId: job.id,
+            message: `Regenerating ${job.total} images`
+        });
         
     } catch (err) {
-        console.error('Error deleting image:', err);
+        console.error('Error queueing regeneration:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// Delete album
-app.post('/upload/delete/:slug', async (req, res) => {
+// Rebuild the derivatives of every album
+// Albums with a job still running are skipped.
+app.post('/upload/regenerate', (req, res) => {
     try {
-        const album = getAlbum(req.params.slug);
-        if (!album) {
-            return res.status(404).json({ error: 'Album not found' });
-        }
-        
-        // Delete all images from B2
-        for (const image of album.images) {
-            try {
-                const urlPath = new URL(image.url).pathname;
-                const thumbPath = new URL(image.thumb).pathname;
-                const originalFile = urlPath.split('/').slice(-2).join('/');
-                const thumbFile = thumbPath.split('/').slice(-3).join('/');
-                
-                await deleteFromB2(originalFile);
-                await deleteFromB2(thumbFile);
-            } catch (e) {
-                console.error('Error deleting file from B2:', e.message);
+        const queued = [];
+        const skipped = [];
+        for (const album of getAlbums()) {
+            if (jobs.hasActiveJob(album.slug)) {
+                skipped.push(album.slug);
+                continue;
             }
+            const job = queueRegenerate(album);
+            if (job) queued.push(job.id);
         }
         
-        // Delete local files
-        const postPath = path.join(POSTS_DIR, album.postFile);
-        const jsonPath = path.join(DATA_DIR, album.jsonFile);
-        
-        if (fs.existsSync(postPath)) fs.unlinkSync(postPath);
-        if (fs.existsSync(jsonPath)) fs.unlinkSync(jsonPath);
-        
-        res.json({ success: true, message: 'Album deleted' });
+        res.json({
+            success: true,
+            jobIds: queued,
+            message: `Regenerating ${queued.length} albums` + (skipped.length ? `, skipped ${skipped.join(', ')} (job running)` : '')
+        });
         
     } catch (err) {
-        console.error('Error deleting album:', err);
+        console.error('Error queueing regeneration:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// Reorder images
-app.post('/upload/reorder/:slug', (req, res) => {
+// Export an album as a ZIP archive
+// The archive holds the post, the album JSON, the originals and a manifest;
+// see lib/archive.js.
+app.get('/upload/export/:slug', (req, res) => {
     try {
         const album = getAlbum(req.params.slug);
         if (!album) {
-            return res.status(404).json({ error: 'Album not found' });
-        }
-        
-        const { order } = req.body; // Array of indices in new order
-        if (!Array.isArray(order)) {
-            return res.status(400).json({ error: 'Invalid order array' });
+            return res.status(404).send('Album not found');
         }
         
-        // Reorder images
-        const newImages = order.map(i => album.images[i]);
-        
-        // Save
-        const jsonPath = path.join(DATA_DIR, album.jsonFile);
-        fs.writeFileSync(jsonPath, JSON.stringify(newImages, null, 2));
-        
-        res.json({ success: true, message: 'Images reordered' });
+        const archive = createAlbumArchive({
+            storage,
+            slug: album.slug,
+            title: album.title,
+            date: album.date,
+            post: fs.readFileSync(path.join(POSTS_DIR, album.postFile), 'utf8'),
+            images: JSON.parse(fs.readFileSync(path.join(DATA_DIR, album.jsonFile), 'utf8'))
+        });
+        res.attachment(`${album.slug}.zip`);
+        pipeline(archive, res, (err) => {
+            if (err) console.error(`Error exporting ${album.slug}:`, err.message);
+        });
         
     } catch (err) {
-        console.error('Error reordering images:', err);
+        console.error('Error exporting album:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// Helper: Get album order
-function getAlbumOrder() {
+// Import an album archive
+// The album is recreated under its archived slug, or `slug` if given, by a
+// background job: originals are uploaded to this site's storage and their
+// derivatives rendered again, so URLs point at the new storage.
+app.post('/upload/import', archiveUpload.single('archive'), async (req, res) => {
+    const removeUpload = () => req.file && fs.rmSync(req.file.path, { force: true });
     try {
-        if (fs.existsSync(ALBUM_ORDER_PATH)) {
-            const order = JSON.parse(fs.readFileSync(ALBUM_ORDER_PATH, 'utf8'));
-            return order.filter(slug => slug !== null);
+        if (!req.file) {
+            return res.status(400).json({ error: 'No archive uploaded' });
         }
-    } catch (e) {
-        console.error('Error reading album order:', e.message);
-    }
-    return [];
+        
+        let archive;
+        try {
+            archive = await openAlbumArchive(req.file.path);
+        } catch (e) {
+            removeUpload();
+            return res.status(400).json({ error: e.message });
+        }
+        const { manifest } = archive;
+        archive.close();
+        
+        const slug = createSlug(req.body.slug || manifest.slug || '');
+        if (!slug) {
+            removeUpload();
+            return res.status(400).json({ error: 'Invalid slug' });
+        }
+        if (fs.existsSync(path.join(DATA_DIR, `${slug}.json`)) || jobs.hasActiveJob(slug)) {
+            removeUpload();
+            return res.status(409).json({ error: `An album with the slug "${slug}" already exists` });
+        }
+        
+        const items = manifest.originals.map(original => ({ originalname: path.posix.basename(original.path), source: original.path }));
+        const job = jobs.create('import-album', slug, { archive: req.file.path, title: manifest.title }, items);
+        
+        res.json({
+            success: true,
+            slug,
+            jobId: job.id,
+            message: `Importing "${manifest.title}" with ${job.total} images`
+        });
+        
+    } catch (err) {
+        removeUpload();
+        console.error('Error importing album:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Job runner: import album
+// Every image has to make it: a failed image fails the job, which can be
+// resumed (e.g. after uploading a missing watermark image) without redoing
+// the images already imported.
+async function runImportAlbumJob(job, context) {
+    const { title } = job.params;
+    const slug = job.slug;
+    if (!fs.existsSync(job.params.archive)) {
+        throw new Error('The uploaded archive is no longer available');
+    }
+    
+    const archive = await openAlbumArchive(job.params.archive);
+    let images;
+    let postContent;
+    let postFile;
+    try {
+        const frontMatter = parseFrontMatter(archive.post);
+        const processing = getProcessingSettings(processingDefaults, frontMatter.processing);
+        const originals = new Map(archive.manifest.originals.map(original => [original.path, original.index]));
+        
+        for (let i = 0; i < job.images.length; i++) {
+            const item = job.images[i];
+            if (item.state === 'done') continue;
+            context.checkCancelled();
+            
+            try {
+                context.setImageState(i, 'decoding');
+                const buffer = await archive.readOriginal(item.source);
+                const image = archive.images[originals.get(item.source)] || {};
+                const entry = await imageProcessor.importOriginal(slug, image, buffer, processing, state => {
+                    context.setImageState(i, state);
+                });
+                context.setImageState(i, 'done', { result: entry });
+            } catch (err) {
+                console.error(`Error importing ${item.name}:`, err.message);
+                context.setImageState(i, 'failed', { error: err.message });
+            }
+        }
+        
+        const failed = job.images.filter(item => item.state === 'failed').length;
+        if (failed > 0) {
+            throw new Error(`${failed} images could not be imported`);
+        }
+        
+        // Images hosted elsewhere keep their entries as they are
+        const results = new Map(job.images.map(item => [originals.get(item.source), item.result]));
+        images = archive.images.map((image, index) => results.get(index) || image);
+        
+        postFile = getPostFileName(frontMatter.date, slug);
+        postContent = updateFrontMatter(archive.post, { slug });
+    } finally {
+        archive.close();
+    }
+    
+    if (getAlbum(slug)) {
+        throw new Error(`An album with the slug "${slug}" was created while the archive was imported`);
+    }
+    await runMutation(`Import album "${title}"`, tx => {
+        tx.writeFile(path.join(DATA_DIR, `${slug}.json`), JSON.stringify(images, null, 2));
+        tx.writeFile(path.join(POSTS_DIR, postFile), postContent);
+        redirects.stageRelease(tx, slug);
+    });
+    albumIndex.refresh(slug);
+    fs.rmSync(job.params.archive, { force: true });
+    
+    return `Album "${title}" imported with ${images.length} images`;
+}
+
+// Helper: Delete what a cancelled import already uploaded, and its archive
+async function deleteImportUploads(job) {
+    await deleteJobUploads(job);
+    fs.rmSync(job.params.archive, { force: true });
+}
+
+// Job runner: add images
+async function runAddImagesJob(job, context) {
+    let album = getAlbum(job.slug);
+    if (!album) {
+        throw new Error('Album not found');
+    }
+    
+    const newImages = await imageProcessor.processJobImages(job, context, album.images, getProcessingSettings(processingDefaults, album.processing));
+    
+    // Re-read the album in case it was edited while the job ran
+    album = getAlbum(job.slug);
+    if (!album) {
+        throw new Error('Album was deleted while images were being added');
+    }
+    const images = [...album.images, ...newImages];
+    
+    // Update JSON file
+    await runMutation(`Add ${newImages.length} images to "${album.title}"`, tx => {
+        tx.writeFile(path.join(DATA_DIR, album.jsonFile), JSON.stringify(images, null, 2));
+    });
+    albumIndex.refresh(album.slug);
+    
+    return `Added ${newImages.length} images${describeDuplicates(job)}`;
+}
+
+// Delete image from album
+app.post('/upload/delete-image/:slug/:index', async (req, res) => {
+    try {
+        const album = getAlbum(req.params.slug);
+        if (!album) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+        
+        const { failedDeletes, revision } = await deleteImages(album, [parseInt(req.params.index)]);
+        res.json({ success: true, message: 'Image deleted', failedDeletes, revision });
+        
+    } catch (err) {
+        if (!err.status) console.error('Error deleting image:', err);
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Delete album
+app.post('/upload/delete/:slug', async (req, res) => {
+    try {
+        const album = getAlbum(req.params.slug);
+        if (!album) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+        
+        const { failedDeletes, revision } = await deleteAlbum(album);
+        res.json({ success: true, message: 'Album deleted', failedDeletes, revision });
+        
+    } catch (err) {
+        if (!err.status) console.error('Error deleting album:', err);
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Helper: Stage an album's JSON and post without some of its images
+// The card and banner follow their images to their new indexes.
+function stageImageRemoval(tx, album, removedIndexes) {
+    const oldIndexes = album.images.map((_, i) => i).filter(i => !removedIndexes.includes(i));
+    tx.writeFile(path.join(DATA_DIR, album.jsonFile), JSON.stringify(oldIndexes.map(i => album.images[i]), null, 2));
+    
+    const postPath = path.join(POSTS_DIR, album.postFile);
+    const covers = getCoverFrontMatter(remapCovers(album, oldIndexes));
+    tx.writeFile(postPath, updateFrontMatter(fs.readFileSync(postPath, 'utf8'), covers));
+}
+
+// Helper: Split images into those the target album lacks and duplicates
+// Duplicates (same file hash) aren't copied again.
+function partitionDuplicates(images, target) {
+    const targetHashes = new Set(target.images.map(image => image.hash).filter(Boolean));
+    return {
+        fresh: images.filter(image => !image.hash || !targetHashes.has(image.hash)),
+        duplicates: images.filter(image => image.hash && targetHashes.has(image.hash))
+    };
+}
+
+// Helper: Error message if albums can't be changed right now
+function getBusyError(...slugs) {
+    const busy = slugs.filter(slug => jobs.hasActiveJob(slug));
+    return busy.length > 0 ? `An upload job on ${busy.join(', ')} is still running or waiting to be resumed or cancelled` : null;
+}
+
+// Move or copy images to another album
+// Body: { target, urls, mode: 'move' | 'copy' }. Images are matched by URL.
+// Their files are copied server-side to the target's storage prefix and the
+// entries appended to the target; a move removes them from this album and
+// deletes the old files after both JSON files are written.
+app.post('/upload/transfer/:slug', async (req, res) => {
+    try {
+        const album = getAlbum(req.params.slug);
+        const target = getAlbum(req.body.target);
+        if (!album || !target) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+        if (album.slug === target.slug) {
+            return res.status(400).json({ error: 'Choose a different album' });
+        }
+        const { mode, urls } = req.body;
+        if (mode !== 'move' && mode !== 'copy') {
+            return res.status(400).json({ error: 'Invalid mode' });
+        }
+        if (!Array.isArray(urls) || urls.length === 0) {
+            return res.status(400).json({ error: 'No images selected' });
+        }
+        const busyError = getBusyError(album.slug, target.slug);
+        if (busyError) {
+            return res.status(409).json({ error: busyError });
+        }
+        
+        const indexes = album.images.map((image, i) => (urls.includes(image.url) ? i : -1)).filter(i => i >= 0);
+        if (indexes.length !== new Set(urls).size) {
+            return res.status(409).json({ error: 'Album has changed, reload the page and try again' });
+        }
+        const move = mode === 'move';
+        const verb = move ? 'Moved' : 'Copied';
+        const { fresh, duplicates } = partitionDuplicates(indexes.map(i => album.images[i]), target);
+        
+        const label = `${move ? 'Move' : 'Copy'} ${indexes.length} images from "${album.title}" to "${target.title}"`;
+        const { failedDeletes, revision } = await runMutation(label, async tx => {
+            const entries = await transferImages({ storage, tx, images: fresh, fromSlug: album.slug, toSlug: target.slug, move });
+            tx.writeFile(path.join(DATA_DIR, target.jsonFile), JSON.stringify([...target.images, ...entries], null, 2));
+            if (move) {
+                stageImageRemoval(tx, album, indexes);
+                duplicates.flatMap(image => getImageKeys(image, album.slug)).forEach(key => tx.deleteObject(key));
+            }
+        });
+        albumIndex.refresh(album.slug);
+        albumIndex.refresh(target.slug);
+        
+        let message = `${verb} ${fresh.length} image${fresh.length === 1 ? '' : 's'} to "${target.title}"`;
+        if (duplicates.length > 0) {
+            message += `, ${duplicates.length} already there`;
+        }
+        res.json({ success: true, message, failedDeletes, revision });
+        
+    } catch (err) {
+        console.error('Error transferring images:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Merge an album into another
+// Body: { target }. Every image is moved to the end of the target album,
+// then this album's post and JSON are removed.
+app.post('/upload/merge/:slug', async (req, res) => {
+    try {
+        const album = getAlbum(req.params.slug);
+        const target = getAlbum(req.body.target);
+        if (!album || !target) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+        if (album.slug === target.slug) {
+            return res.status(400).json({ error: 'Choose a different album' });
+        }
+        const busyError = getBusyError(album.slug, target.slug);
+        if (busyError) {
+            return res.status(409).json({ error: busyError });
+        }
+        
+        const { fresh, duplicates } = partitionDuplicates(album.images, target);
+        const order = getAlbumOrder();
+        
+        const { failedDeletes, revision } = await runMutation(`Merge "${album.title}" into "${target.title}"`, async tx => {
+            const entries = await transferImages({ storage, tx, images: fresh, fromSlug: album.slug, toSlug: target.slug, move: true });
+            tx.writeFile(path.join(DATA_DIR, target.jsonFile), JSON.stringify([...target.images, ...entries], null, 2));
+            tx.removeFile(path.join(POSTS_DIR, album.postFile));
+            tx.removeFile(path.join(DATA_DIR, album.jsonFile));
+            if (order.includes(album.slug)) {
+                tx.writeFile(ALBUM_ORDER_PATH, JSON.stringify(order.filter(slug => slug !== album.slug), null, 2));
+            }
+            duplicates.flatMap(image => getImageKeys(image, album.slug)).forEach(key => tx.deleteObject(key));
+        });
+        albumIndex.refresh(album.slug);
+        albumIndex.refresh(target.slug);
+        albumIndex.refreshOrder();
+        
+        res.json({
+            success: true,
+            slug: target.slug,
+            message: `Merged "${album.title}" into "${target.title}"`,
+            failedDeletes,
+            revision
+        });
+        
+    } catch (err) {
+        console.error('Error merging albums:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Split a range of images into a new album
+// Body: { start, end, title } with inclusive image indexes. The new album
+// gets the original's developer, description, tags, date and processing
+// settings, and its card/banner crop if those images are in the range. It is
+// placed right after the original in the custom album order.
+app.post('/upload/split/:slug', async (req, res) => {
+    try {
+        const album = getAlbum(req.params.slug);
+        if (!album) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+        const title = (req.body.title || '').trim();
+        if (!title) {
+            return res.status(400).json({ error: 'Title is required' });
+        }
+        const start = parseInt(req.body.start);
+        const end = parseInt(req.body.end);
+        if (isNaN(start) || isNaN(end) || start < 0 || end < start || end >= album.images.length) {
+            return res.status(400).json({ error: 'Invalid image range' });
+        }
+        if (end - start + 1 === album.images.length) {
+            return res.status(400).json({ error: 'At least one image has to stay in the album' });
+        }
+        
+        const slug = createSlug(title);
+        if (getAlbum(slug) || fs.existsSync(path.join(DATA_DIR, `${slug}.json`)) || jobs.hasActiveJob(slug)) {
+            return res.status(400).json({ error: 'Album with this name already exists' });
+        }
+        const busyError = getBusyError(album.slug);
+        if (busyError) {
+            return res.status(409).json({ error: busyError });
+        }
+        
+        const indexes = album.images.map((_, i) => i).slice(start, end + 1);
+        const date = album.date || new Date().toISOString().split('T')[0];
+        const postContent = generateNewPostMarkdown({
+            title,
+            developer: album.developer,
+            description: album.description,
+            date,
+            tags: album.tags,
+            slug,
+            ...remapCovers(album, indexes),
+            published: album.published,
+            processing: album.processing
+        });
+        const order = getAlbumOrder();
+        
+        const { failedDeletes, revision } = await runMutation(`Split images #${start}-${end} of "${album.title}" into "${title}"`, async tx => {
+            const entries = await transferImages({
+                storage,
+                tx,
+                images: indexes.map(i => album.images[i]),
+                fromSlug: album.slug,
+                toSlug: slug,
+                move: true
+            });
+            tx.writeFile(path.join(DATA_DIR, `${slug}.json`), JSON.stringify(entries, null, 2));
+            tx.writeFile(path.join(POSTS_DIR, getPostFileName(date, slug)), postContent);
+            redirects.stageRelease(tx, slug);
+            stageImageRemoval(tx, album, indexes);
+            if (order.includes(album.slug)) {
+                order.splice(order.indexOf(album.slug) + 1, 0, slug);
+                tx.writeFile(ALBUM_ORDER_PATH, JSON.stringify(order, null, 2));
+            }
+        });
+        albumIndex.refresh(album.slug);
+        albumIndex.refresh(slug);
+        albumIndex.refreshOrder();
+        
+        res.json({
+            success: true,
+            slug,
+            message: `Moved ${indexes.length} images to the new album "${title}"`,
+            failedDeletes,
+            revision
+        });
+        
+    } catch (err) {
+        console.error('Error splitting album:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Rename an album's slug
+// Body: { slug }. The data file, post file name, `slug:` front matter, album
+// order and storage prefix all change together, and a redirect stub keeps
+// the old permalink working.
+app.post('/upload/rename/:slug', async (req, res) => {
+    try {
+        const album = getAlbum(req.params.slug);
+        if (!album) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+        const slug = createSlug(req.body.slug || '');
+        if (!slug) {
+            return res.status(400).json({ error: 'Slug is required' });
+        }
+        if (slug === album.slug) {
+            return res.status(400).json({ error: 'The album already has this slug' });
+        }
+        if (getAlbum(slug) || fs.existsSync(path.join(DATA_DIR, `${slug}.json`)) || jobs.hasActiveJob(slug)) {
+            return res.status(400).json({ error: 'Album with this name already exists' });
+        }
+        const busyError = getBusyError(album.slug);
+        if (busyError) {
+            return res.status(409).json({ error: busyError });
+        }
+        
+        // The post keeps its date prefix
+        const oldPostPath = path.join(POSTS_DIR, album.postFile);
+        const newPostPath = path.join(POSTS_DIR, album.postFile.slice(0, -`${album.slug}.md`.length) + `${slug}.md`);
+        const postContent = updateFrontMatter(fs.readFileSync(oldPostPath, 'utf8'), { slug });
+        const order = getAlbumOrder();
+        
+        const { failedDeletes, revision } = await runMutation(`Rename "${album.slug}" to "${slug}"`, async tx => {
+            const images = await transferImages({ storage, tx, images: album.images, fromSlug: album.slug, toSlug: slug, move: true });
+            tx.writeFile(path.join(DATA_DIR, `${slug}.json`), JSON.stringify(images, null, 2));
+            tx.writeFile(newPostPath, postContent);
+            tx.removeFile(path.join(DATA_DIR, album.jsonFile));
+            tx.removeFile(oldPostPath);
+            if (order.includes(album.slug)) {
+                tx.writeFile(ALBUM_ORDER_PATH, JSON.stringify(order.map(s => (s === album.slug ? slug : s)), null, 2));
+            }
+            redirects.stageRename(tx, album.slug, slug);
+        });
+        albumIndex.refresh(album.slug);
+        albumIndex.refresh(slug);
+        albumIndex.refreshOrder();
+        
+        res.json({
+            success: true,
+            slug,
+            message: `Album moved to ${getPermalink(slug)}, ${getPermalink(album.slug)} redirects there`,
+            failedDeletes,
+            revision
+        });
+        
+    } catch (err) {
+        console.error('Error renaming album:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Text fields editable per image
+const IMAGE_TEXT_FIELDS = ['title', 'alt', 'caption'];
+
+// Update image titles, alt text and captions
+// Body: { images: [{ url, title, alt, caption }] }. Images are matched by URL
+// so edits land on the right image even if the album was reordered in the
+// meantime; fields left out are unchanged and empty ones are removed.
+app.post('/upload/image-text/:slug', async (req, res) => {
+    try {
+        const album = getAlbum(req.params.slug);
+        if (!album) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+        
+        const updates = req.body.images;
+        if (!Array.isArray(updates)) {
+            return res.status(400).json({ error: 'Invalid images array' });
+        }
+        const busyError = getBusyError(album.slug);
+        if (busyError) {
+            return res.status(409).json({ error: busyError });
+        }
+        
+        const images = album.images.map(image => ({ ...image }));
+        for (const update of updates) {
+            const image = images.find(entry => entry.url === update.url);
+            if (!image) {
+                return res.status(409).json({ error: 'Album has changed, reload the page and try again' });
+            }
+            for (const field of IMAGE_TEXT_FIELDS) {
+                if (update[field] === undefined) continue;
+                const value = String(update[field]).trim();
+                if (value) {
+                    image[field] = value;
+                } else {
+                    delete image[field];
+                }
+            }
+        }
+        
+        const { revision } = await runMutation(`Edit image text in "${album.title}"`, tx => {
+            tx.writeFile(path.join(DATA_DIR, album.jsonFile), JSON.stringify(images, null, 2));
+        });
+        albumIndex.refresh(album.slug);
+        
+        res.json({ success: true, revision, message: `Updated ${updates.length} image${updates.length === 1 ? '' : 's'}` });
+        
+    } catch (err) {
+        console.error('Error updating image text:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Reorder images
+app.post('/upload/reorder/:slug', async (req, res) => {
+    try {
+        const album = getAlbum(req.params.slug);
+        if (!album) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+        
+        const busyError = getBusyError(album.slug);
+        if (busyError) {
+            return res.status(409).json({ error: busyError });
+        }
+        
+        // Array of indices in new order: each current index exactly once
+        const { order } = req.body;
+        const isPermutation = Array.isArray(order) &&
+            order.length === album.images.length &&
+            new Set(order).size === order.length &&
+            order.every(i => Number.isInteger(i) && i >= 0 && i < album.images.length);
+        if (!isPermutation) {
+            return res.status(400).json({ error: 'Order must list every image index exactly once' });
+        }
+        
+        // Reorder images
+        const newImages = order.map(i => album.images[i]);
+        
+        // Save
+        const { revision } = await runMutation(`Reorder images in "${album.title}"`, tx => {
+            tx.writeFile(path.join(DATA_DIR, album.jsonFile), JSON.stringify(newImages, null, 2));
+        });
+        albumIndex.refresh(album.slug);
+        
+        res.json({ success: true, message: 'Images reordered', revision });
+        
+    } catch (err) {
+        console.error('Error reordering images:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Helper: Get album order
+function getAlbumOrder() {
+    return albumIndex.getOrder();
 }
 
 // Helper: Save album order
-function saveAlbumOrder(order) {
-    fs.writeFileSync(ALBUM_ORDER_PATH, JSON.stringify(order, null, 2));
+// Returns the history revision.
+async function saveAlbumOrder(order) {
+    const { revision } = await runMutation('Reorder albums', tx => {
+        tx.writeFile(ALBUM_ORDER_PATH, JSON.stringify(order, null, 2));
+    });
+    albumIndex.refreshOrder();
+    return revision;
 }
 
 // Get album order page
@@ -696,15 +1441,15 @@ app.get('/upload/order', (req, res) => {
 });
 
 // Save album order
-app.post('/upload/save-order', (req, res) => {
+app.post('/upload/save-order', async (req, res) => {
     try {
         const { order } = req.body;
         if (!Array.isArray(order)) {
             return res.status(400).json({ error: 'Invalid order array' });
         }
         
-        saveAlbumOrder(order);
-        res.json({ success: true, message: 'Album order saved' });
+        const revision = await saveAlbumOrder(order);
+        res.json({ success: true, message: 'Album order saved', revision });
         
     } catch (err) {
         console.error('Error saving album order:', err);
@@ -712,10 +1457,343 @@ app.post('/upload/save-order', (req, res) => {
     }
 });
 
+// Helper: Slugs an unfinished or resumable upload job is working on
+// Their objects may not be referenced by the album JSON yet.
+function getBusySlugs() {
+    return jobs.getBusySlugs();
+}
+
+// Helper: Compare storage with every album
+function reconcileStorage(checkExternal = false) {
+    return reconcile({ storage, albums: getAlbums(), busySlugs: getBusySlugs(), heldKeys: history.getPendingDeletes(), checkExternal });
+}
+
+// Storage reconciliation page
+app.get('/upload/reconcile', async (req, res) => {
+    try {
+        const checkExternal = req.query.external === '1';
+        const report = await reconcileStorage(checkExternal);
+        res.render('reconcile', { report, checkExternal, formatBytes });
+    } catch (err) {
+        console.error('Error reconciling storage:', err);
+        res.status(500).send(`Error reconciling storage: ${err.message}`);
+    }
+});
+
+// Delete orphaned objects of an album, or a stray prefix without an album
+app.post('/upload/reconcile/cleanup', async (req, res) => {
+    try {
+        const { slug, prefix } = req.body;
+        const report = await reconcileStorage();
+        
+        let target;
+        let keys;
+        if (slug) {
+            target = report.albums.find(album => album.slug === slug);
+            keys = target && target.orphans.map(object => object.key);
+        } else if (prefix) {
+            target = report.stray.find(stray => stray.prefix === prefix);
+            keys = target && target.keys;
+        }
+        if (!target) {
+            return res.status(404).json({ error: 'Nothing to clean up' });
+        }
+        if (target.busy) {
+            return res.status(409).json({ error: 'An upload job is still working on this album' });
+        }
+        
+        const { deleted, failed } = await deleteObjects(storage, keys);
+        res.json({ success: true, message: `Deleted ${deleted.length} objects`, deleted: deleted.length, failedDeletes: failed });
+        
+    } catch (err) {
+        console.error('Error cleaning up storage:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Rewrite an album's JSON so it only references stored objects
+app.post('/upload/reconcile/repair/:slug', async (req, res) => {
+    try {
+        const album = getAlbum(req.params.slug);
+        if (!album) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+        if (jobs.hasActiveJob(album.slug)) {
+            return res.status(409).json({ error: 'An upload job is still working on this album' });
+        }
+        
+        const report = (await reconcileStorage()).albums.find(entry => entry.slug === album.slug);
+        const { images, repaired, unrecoverable } = repairImages(storage, album.slug, album.images, report);
+        if (repaired.length > 0) {
+            await runMutation(`Repair "${album.title}"`, tx => {
+                tx.writeFile(path.join(DATA_DIR, album.jsonFile), JSON.stringify(images, null, 2));
+            });
+            albumIndex.refresh(album.slug);
+        }
+        
+        res.json({
+            success: true,
+            message: `Repaired ${repaired.length} images` + (unrecoverable.length ? `, ${unrecoverable.length} have no stored files left` : ''),
+            repaired,
+            unrecoverable
+        });
+        
+    } catch (err) {
+        console.error('Error repairing album:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Upload a signature PNG for watermarks
+// Multipart body: `image`, and `replace` ("true") to overwrite a watermark
+// of the same name.
+app.post('/upload/watermarks', upload.single('image'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No image uploaded' });
+        }
+        const { name, exists } = await watermarker.save(req.file.originalname, req.file.buffer, { replace: req.body.replace === 'true' });
+        if (exists) {
+            return res.status(409).json({ error: `A watermark named "${name}" already exists`, exists: true, name });
+        }
+        res.json({ success: true, name, images: watermarker.list() });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Helper: Downscaled copy of an album image for watermark previews
+// The last one fetched is kept, since the preview re-renders on every edit.
+let previewSource = { url: null, buffer: null };
+async function getPreviewSource(image) {
+    const size = [...(image.sizes || [])].reverse().find(s => s.width <= WATERMARK_PREVIEW_WIDTH) || {};
+    const url = size.webp || size.avif || image.url;
+    if (previewSource.url !== url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Couldn't load ${url} (${response.status})`);
+        }
+        const buffer = await sharp(Buffer.from(await response.arrayBuffer()))
+            .rotate()
+            .resize(WATERMARK_PREVIEW_WIDTH, null, { withoutEnlargement: true })
+            .toBuffer();
+        previewSource = { url, buffer };
+    }
+    return previewSource.buffer;
+}
+
+// Render an image with watermark settings
+// Multipart body: `watermark` (JSON settings) and either an `image` file or
+// the `slug` and `index` of an album image. Returns a JPEG.
+app.post('/upload/watermark-preview', upload.single('image'), async (req, res) => {
+    try {
+        const watermark = getWatermarkSettings(JSON.parse(req.body.watermark || '{}'), { enabled: true });
+        
+        let source;
+        if (req.file) {
+            source = await sharp(req.file.buffer).rotate().resize(WATERMARK_PREVIEW_WIDTH, null, { withoutEnlargement: true }).toBuffer();
+        } else {
+            const album = getAlbum(req.body.slug);
+            const image = album && album.images[parseInt(req.body.index) || 0];
+            if (!image) {
+                return res.status(404).json({ error: 'Image not found' });
+            }
+            source = await getPreviewSource(image);
+        }
+        
+        const metadata = await sharp(source).metadata();
+        const overlay = await watermarker.getOverlay(watermark, metadata.width, metadata.height);
+        let pipeline = sharp(source);
+        if (overlay) {
+            pipeline = pipeline.composite([overlay]);
+        }
+        res.type('image/jpeg').send(await pipeline.jpeg({ quality: 80 }).toBuffer());
+        
+    } catch (err) {
+        console.error('Error rendering watermark preview:', err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Revision history page
+app.get('/upload/history', (req, res) => {
+    res.render('history', { revisions: history.list() });
+});
+
+// Get a revision with its diffs
+app.get('/upload/history/:id', (req, res) => {
+    try {
+        const revision = history.get(req.params.id);
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        res.json(revision);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Restore the files of a revision to their content before it
+// Body: { force } to restore files that were changed again since.
+app.post('/upload/history/:id/restore', async (req, res) => {
+    try {
+        if (getBusySlugs().size > 0) {
+            return res.status(409).json({ error: getBusyError(...getBusySlugs()) });
+        }
+        
+        const result = await history.restore(req.params.id, { force: req.body.force === true });
+        if (!result) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        if (result.conflicts) {
+            return res.status(409).json({
+                error: `Changed again since: ${result.conflicts.join(', ')}. Restoring would discard those later changes.`,
+                conflicts: result.conflicts
+            });
+        }
+        albumIndex.reload();
+        
+        res.json({
+            success: true,
+            message: result.missing > 0
+                ? `Restored. ${result.missing} deleted files were already removed from storage; repair the album on the Storage page.`
+                : 'Restored',
+            revision: result.revision,
+            missing: result.missing
+        });
+        
+    } catch (err) {
+        console.error('Error restoring revision:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Publish page
+app.get('/upload/publish', async (req, res) => {
+    try {
+        res.render('publish', { status: await publisher.status(), error: null });
+    } catch (err) {
+        console.error('Error reading git status:', err);
+        res.render('publish', { status: null, error: err.message });
+    }
+});
+
+// Commit pending changes and push them
+// Body: { message }, defaulting to the suggested message.
+app.post('/upload/publish', async (req, res) => {
+    try {
+        const busy = getBusySlugs();
+        if (busy.size > 0) {
+            return res.status(409).json({ error: getBusyError(...busy) });
+        }
+        
+        const result = await publisher.publish(req.body.message);
+        if (result.refused) {
+            return res.status(409).json({ error: result.refused, unmanagedFiles: result.unmanagedFiles });
+        }
+        if (result.diverged) {
+            const { behind, conflicts, remote, branch } = result.diverged;
+            const error = behind > 0
+                ? `${remote}/${branch} has ${behind} commit${behind === 1 ? '' : 's'} this checkout doesn't, pull them in a terminal first`
+                : 'The checkout has unresolved merge conflicts, resolve them in a terminal first';
+            return res.status(409).json({
+                error: error + (behind > 0 && conflicts.length ? ` (${conflicts.length} file${conflicts.length === 1 ? '' : 's'} changed on both sides)` : ''),
+                conflicts,
+                remoteCommits: result.diverged.remoteCommits
+            });
+        }
+        if (!result.pushed) {
+            return res.status(502).json({
+                error: `${result.commit ? `Committed ${result.commit}, but the` : 'The'} push failed: ${result.error}`,
+                commit: result.commit
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: result.commit
+                ? `Published ${result.files.length} file${result.files.length === 1 ? '' : 's'} as ${result.commit}`
+                : 'Pushed unpublished commits',
+            commit: result.commit
+        });
+        
+    } catch (err) {
+        console.error('Error publishing:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Upload jobs page
+app.get('/upload/jobs', (req, res) => {
+    res.render('jobs', { jobs: jobs.list(), activeJobId: req.query.job || null });
+});
+
+// Get job state
+app.get('/upload/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+});
+
+// Stream job progress (Server-Sent Events)
+app.get('/upload/jobs/:id/events', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const send = state => res.write(`event: job\ndata: ${JSON.stringify(state)}\n\n`);
+    send(job);
+    
+    const unsubscribe = jobs.subscribe(job.id, send);
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+    });
+});
+
+// Cancel job
+app.post('/upload/jobs/:id/cancel', async (req, res) => {
+    try {
+        const job = await jobs.cancel(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json({ success: true, job, message: job.status === 'running' ? 'Cancelling job' : 'Job cancelled' });
+    } catch (err) {
+        console.error('Error cancelling job:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Resume job
+app.post('/upload/jobs/:id/resume', (req, res) => {
+    try {
+        const job = jobs.resume(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json({ success: true, job, message: 'Job resumed' });
+    } catch (err) {
+        console.error('Error resuming job:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Start server
-app.listen(PORT, () => {
+app.listen(PORT, BIND_ADDRESS, () => {
     console.log(`\n🎮 Virtual Photography Admin Panel`);
-    console.log(`   Running at: http://localhost:${PORT}/upload`);
-    console.log(`   B2 Bucket: ${b2Config.bucket_name}`);
-    console.log(`   CDN: ${b2Config.cdn_domain || 'Not configured'}\n`);
+    console.log(`   Running at: http://${BIND_ADDRESS.includes(':') ? `[${BIND_ADDRESS}]` : BIND_ADDRESS}:${PORT}/upload`);
+    console.log(`   Storage: ${storage.description}\n`);
 });
\ No newline at end of file
@@ -0,0 +1,45 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const sharp = require('sharp');
+const createLocalStorage = require('../lib/storage/local');
+const { createImageProcessor } = require('../lib/images');
+const { createWatermarker } = require('../lib/watermark');
+
+// Fixtures shared by the tests in lib/
+
+// Helper: A temporary directory, removed when the test ends
+function createTempDir(t, name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-test-`));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Helper: Local storage under `dir`, with URLs on `publicUrl`
+function createTestStorage(dir, publicUrl = 'https://cdn.example.com') {
+    return createLocalStorage({ dir, public_url: publicUrl }, { port: 0 });
+}
+
+// Helper: Local storage and an image pipeline with a small derivative
+// ladder, keeping its files and watermarks under `dir`
+function createTestSite(dir, publicUrl) {
+    const storage = createTestStorage(path.join(dir, 'media'), publicUrl);
+    const imageProcessor = createImageProcessor({
+        storage,
+        derivatives: { widths: [30, 'original'], formats: ['webp'] },
+        watermarker: createWatermarker({ dir: path.join(dir, 'watermarks') })
+    });
+    return { storage, imageProcessor };
+}
+
+// Helper: A small JPEG of one colour
+function createTestJpeg(background = '#336699', width = 60, height = 40) {
+    return sharp({ create: { width, height, channels: 3, background } }).jpeg().toBuffer();
+}
+
+module.exports = {
+    createTempDir,
+    createTestStorage,
+    createTestSite,
+    createTestJpeg
+};
@@ -177,6 +177,8 @@
    * @param {string} imageData[0].url - The URL of the full image.
    * @param {string} imageData[0].thumb - The URL of the thumbnail image.
    * @param {string} imageData[0].aspectRatio - The aspect ratio of the image.
+   * @param {array} [imageData[0].sizes] - Resized derivatives of the image,
+   *                                       used to build a srcset.
    * @param {object} options - An object containing overrides for the default
    *                           options. See below for the full list of options
    *                           and defaults.
@@ -262,7 +264,8 @@
        * Default: 20
        * Description: The height in pixels of the thumbnail that should be
        *   loaded and blurred to give the effect that images are loading out of
-       *   focus and then coming into focus.
+       *   focus and then coming into focus. Images with an inline
+       *   `placeholder` use it instead, which is rendered at this size.
        */
       thumbnailSize: 20,
 
@@ -713,8 +716,22 @@
    *                                  include in the grid.
    * @param {string} singleImageData.url - The URL of the full image.
    * @param {string} singleImageData.thumb - The URL of the thumbnail image.
+   * @param {string} [singleImageData.placeholder] - A tiny inline version of
+   *                                                 the image (a data URI),
+   *                                                 used as the thumbnail
+   *                                                 without a request.
+   * @param {string} [singleImageData.color] - The dominant colour, painted as
+   *                                           the figure background until
+   *                                           the thumbnail shows.
    * @param {string} singleImageData.aspectRatio - The aspect ratio of the
    *                                               image.
+   * @param {array} [singleImageData.sizes] - Resized derivatives, each with a
+   *                                          width and one URL per format
+   *                                          (e.g. `webp`, `avif`).
+   * @param {string} [singleImageData.alt] - Alt text for the full image.
+   * @param {string} [singleImageData.title] - Title, shown as a tooltip and
+   *                                           in the lightbox caption.
+   * @param {string} [singleImageData.caption] - Caption for the lightbox.
    */
   function ProgressiveImage(singleImageData, index, pig) {
 
@@ -725,6 +742,12 @@
     this.aspectRatio = singleImageData.aspectRatio;
     this.url = singleImageData.url;
     this.thumb = singleImageData.thumb;
+    this.placeholder = singleImageData.placeholder || '';
+    this.color = singleImageData.color || '';
+    this.sizes = singleImageData.sizes || [];
+    this.alt = singleImageData.alt || '';
+    this.title = singleImageData.title || '';
+    this.caption = singleImageData.caption || '';
     this.index = index;  // The index in the list of images
 
     // The Pig instance
@@ -753,6 +776,11 @@
     this._updateStyles();
     this.pig.container.appendChild(this.getElement());
 
+    // An inline placeholder costs no request, so show it right away.
+    if (this.placeholder) {
+      this._showThumbnail();
+    }
+
     // We run the rest of the function in a 100ms setTimeout so that if the
     // user is scrolling down the page very fast and hide() is called within
     // 100ms of load(), the hide() function will set this.existsOnPage to false
@@ -766,27 +794,15 @@
       }
 
       // Show thumbnail
-      if (!this.thumbnail) {
-        this.thumbnail = new Image();
-        this.thumbnail.src = this.thumb;
-        this.thumbnail.className = this.classNames.thumbnail;
-        this.thumbnail.onload = function() {
-
-          // We have to make sure thumbnail still exists, we may have already been
-          // deallocated if the user scrolls too fast.
-          if (this.thumbnail) {
-            this.thumbnail.className += ' ' + this.classNames.loaded;
-          }
-        }.bind(this);
-
-        this.getElement().appendChild(this.thumbnail);
-
-      }
+      this._showThumbnail();
 
       // Show full image
       if (!this.fullImage) {
         this.fullImage = new Image();
-        this.fullImage.src = this.url;
+        this.fullImage.alt = this.alt;
+        if (this.title) {
+          this.fullImage.title = this.title;
+        }
         this.fullImage.onload = function() {
 
           // We have to make sure fullImage still exists, we may have already been
@@ -796,20 +812,112 @@
           }
         }.bind(this);
 
+        var fullImageElement = this._getPictureElement() || this.fullImage;
+
+        // A detached image starts downloading as soon as it has a src, so it
+        // is set only once the <source> elements are in place; otherwise every
+        // tile would fetch the full-size original as well.
+        this.fullImage.src = this.url;
+
         // Add anchor around image
         if(this.pig.settings.addAnchorTag) {
           var anchor = document.createElement('a');
           anchor.setAttribute('href', this.url);
           anchor.setAttribute('class', this.pig.settings.anchorClass);
-          anchor.appendChild(this.fullImage);
+          var caption = this._getCaptionHtml();
+          if (caption) {
+            anchor.setAttribute('data-caption', caption);
+          }
+          anchor.appendChild(fullImageElement);
           this.getElement().appendChild(anchor);
         } else {
-          this.getElement().appendChild(this.fullImage);
+          this.getElement().appendChild(fullImageElement);
         }
       }
     }.bind(this), 100);
   };
 
+  /**
+   * Creates and inserts the blurred thumbnail, from the inline placeholder if
+   * there is one and from the thumbnail URL otherwise.
+   */
+  ProgressiveImage.prototype._showThumbnail = function() {
+    if (this.thumbnail) {
+      return;
+    }
+
+    this.thumbnail = new Image();
+    this.thumbnail.src = this.placeholder || this.thumb;
+    this.thumbnail.alt = ''; // The full image carries the alt text
+    this.thumbnail.className = this.classNames.thumbnail;
+    this.thumbnail.onload = function() {
+
+      // We have to make sure thumbnail still exists, we may have already been
+      // deallocated if the user scrolls too fast.
+      if (this.thumbnail) {
+        this.thumbnail.className += ' ' + this.classNames.loaded;
+      }
+    }.bind(this);
+
+    this.getElement().appendChild(this.thumbnail);
+  };
+
+  /**
+   * Builds the lightbox caption from the title and caption, escaped so it can
+   * be used as HTML (Fancybox renders `data-caption` as markup).
+   *
+   * @returns {string} The caption HTML, or an empty string.
+   */
+  ProgressiveImage.prototype._getCaptionHtml = function() {
+    var escape = function(text) {
+      return text.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    };
+    var parts = [];
+    if (this.title) {
+      parts.push('<strong>' + escape(this.title) + '</strong>');
+    }
+    if (this.caption) {
+      parts.push(escape(this.caption).replace(/\n/g, '<br>'));
+    }
+    return parts.join('<br>');
+  };
+
+  /**
+   * Wraps the full image in a <picture> element with one <source> per format
+   * found in `this.sizes` (AVIF first), so the browser picks the smallest
+   * derivative that covers the rendered width instead of the original.
+   *
+   * @returns {HTMLElement|null} The <picture> element, or null if the image
+   *                             has no derivatives.
+   */
+  ProgressiveImage.prototype._getPictureElement = function() {
+    if (!this.sizes.length) {
+      return null;
+    }
+
+    var picture = document.createElement('picture');
+    var sizesAttribute = Math.ceil(this.style.width) + 'px';
+
+    ['avif', 'webp'].forEach(function(format) {
+      var srcset = this.sizes
+        .filter(function(size) { return size[format]; })
+        .map(function(size) { return size[format] + ' ' + size.width + 'w'; })
+        .join(', ');
+
+      if (srcset) {
+        var source = document.createElement('source');
+        source.type = 'image/' + format;
+        source.srcset = srcset;
+        source.sizes = sizesAttribute;
+        picture.appendChild(source);
+      }
+    }.bind(this));
+
+    picture.appendChild(this.fullImage);
+    return picture;
+  };
+
   /**
    * Removes the figure from the DOM, removes the thumbnail and full image, and
    * deletes the this.thumbnail and this.fullImage properties off of the
@@ -855,6 +963,9 @@
     if (!this.element) {
       this.element = document.createElement(this.pig.settings.figureTagName);
       this.element.className = this.classNames.figure;
+      if (this.color) {
+        this.element.style.backgroundColor = this.color;
+      }
       this._updateStyles();
     }
 